@@ -0,0 +1,103 @@
+/**
+ * Mock classifier – offline stand-in for the behavior classifier process.
+ * ---------------------------------------------------------------------
+ * Streams pattern labels in the network source message format (see
+ * createNetworkSource in src/signalSources.js) over both transports:
+ *  • WebSocket: ws://localhost:8787/ws
+ *  • SSE:       http://localhost:8787/events
+ *
+ * Usage:
+ *   node server/mock-classifier.js [--port 8787] [--interval 1000] [--drop-every 30] [--drop-for 8]
+ *
+ *  --drop-every N  go silent every N messages (exercises "signal lost")
+ *  --drop-for N    how many intervals each silence lasts
+ */
+import http from "node:http";
+import { WebSocketServer } from "ws";
+
+const args = process.argv.slice(2);
+const opt = (name, fallback) => {
+  const i = args.indexOf(`--${name}`);
+  return i >= 0 && args[i + 1] != null ? Number(args[i + 1]) : fallback;
+};
+const PORT = opt("port", 8787);
+const INTERVAL_MS = opt("interval", 1000);
+const DROP_EVERY = opt("drop-every", 0);
+const DROP_FOR = opt("drop-for", 8);
+
+// Same pattern keys as DEFAULT_CONFIG.patterns; FOCUSED weighted highest
+const POOL = [
+  ["FOCUSED", 36],
+  ["SOCIALIZING", 8],
+  ["IDLING", 10],
+  ["NON_LEARNING_CONTENT", 10],
+  ["AWAY_FROM_SEAT", 4],
+  ["EATING", 4],
+  ["RUSHING", 6],
+  ["SKIPPING_RECOMMENDED_LESSON", 4],
+  ["CHEATING", 2],
+];
+
+const pick = () => {
+  let r = Math.random() * POOL.reduce((s, [, w]) => s + w, 0);
+  return POOL.find(([, w]) => (r -= w) < 0)?.[0] || "FOCUSED";
+};
+
+let key = "FOCUSED";
+let dwell = 0;
+let sent = 0;
+let silentLeft = 0;
+const snapshot = () => ({ type: "pattern", key, ts: Date.now() });
+
+const sse = new Set();
+const server = http.createServer((req, res) => {
+  if (req.url === "/events") {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      "Access-Control-Allow-Origin": "*",
+    });
+    res.write(`data: ${JSON.stringify(snapshot())}\n\n`);
+    sse.add(res);
+    req.on("close", () => sse.delete(res));
+    return;
+  }
+  res.writeHead(404).end();
+});
+const wss = new WebSocketServer({ server, path: "/ws" });
+// New clients get the current pattern right away instead of waiting for the next change
+wss.on("connection", (ws) => ws.send(JSON.stringify(snapshot())));
+
+const broadcast = (msg) => {
+  const data = JSON.stringify(msg);
+  sse.forEach((res) => res.write(`data: ${data}\n\n`));
+  wss.clients.forEach((ws) => ws.readyState === ws.OPEN && ws.send(data));
+};
+
+setInterval(() => {
+  if (silentLeft > 0) {
+    silentLeft -= 1;
+    return;
+  }
+  if (DROP_EVERY && sent > 0 && sent % DROP_EVERY === 0) {
+    silentLeft = DROP_FOR;
+    sent += 1;
+    console.log(`[mock-classifier] going silent for ${DROP_FOR} intervals`);
+    return;
+  }
+  if (dwell <= 0) {
+    key = pick();
+    const base = key === "FOCUSED" ? 6 : 10;
+    dwell = Math.max(2, Math.round(base + Math.random() * base));
+    broadcast({ type: "pattern", key, ts: Date.now() });
+  } else {
+    broadcast({ type: "heartbeat", ts: Date.now() });
+  }
+  dwell -= 1;
+  sent += 1;
+}, INTERVAL_MS);
+
+server.listen(PORT, () => {
+  console.log(`[mock-classifier] ws://localhost:${PORT}/ws · http://localhost:${PORT}/events`);
+});
@@ -0,0 +1,202 @@
+/**
+ * Educator dashboard
+ * ------------------
+ * EducatorDashboard watches a whole class: one signal stream per learner on a
+ * shared clock, in a sortable, filterable grid. createSimulatedClass builds a
+ * seeded class for trying it out.
+ */
+import React, { useEffect, useMemo, useState } from "react";
+import { Users, ArrowUpDown } from "lucide-react";
+import { createSimulatedSource } from "./signalSources";
+import { advanceStream, initialStreamState } from "./signalStream";
+import { createIntervalClock } from "./clock";
+import { SEVERITY_ORDER, getSeverity } from "./severity";
+import { DEFAULT_CONFIG, SeverityBadge, clamp } from "./WastemeterOverlay";
+
+/**
+ * Learner streams – one signal stream per learner on a shared clock, plus a
+ * short per-tick severity history for sparklines.
+ * `learners` is a list of `{ id, name, source }`.
+ */
+const SPARKLINE_TICKS = 180; // last 3 minutes at 1 tick/s
+
+function useLearnerStreams(learners, config, clock) {
+  const init = () =>
+    Object.fromEntries(learners.map((l) => [l.id, { stream: initialStreamState(config), history: [] }]));
+  const [streams, setStreams] = useState(init);
+
+  useEffect(() => {
+    learners.forEach((l) => l.source.start?.());
+    return () => learners.forEach((l) => l.source.stop?.());
+  }, [learners]);
+
+  useEffect(() => {
+    setStreams(init());
+    return clock.subscribe(({ ticks = 1 }) => {
+      // Read outside the updater so each source advances exactly once per tick
+      const reads = learners.map((l) => ({
+        id: l.id,
+        keys: Array.from({ length: ticks }, () => l.source.read()),
+        status: l.source.status?.() ?? null,
+      }));
+      setStreams((prev) => {
+        const next = { ...prev };
+        reads.forEach(({ id, keys, status }) => {
+          let { stream, history } = prev[id] || { stream: initialStreamState(config), history: [] };
+          keys.forEach((key) => {
+            stream = advanceStream(stream, key, config, status);
+            const sev = stream.signalLost
+              ? 0
+              : SEVERITY_ORDER.indexOf(getSeverity(stream.secondsInPattern, config.thresholds, stream.pattern));
+            history = [...history, sev].slice(-SPARKLINE_TICKS);
+          });
+          next[id] = { stream, history };
+        });
+        return next;
+      });
+    });
+  }, [learners, clock, config.patterns, config.thresholds]);
+
+  return streams;
+}
+
+function Sparkline({ values, max, width = 120, height = 24, className = "" }) {
+  if (values.length < 2) return <svg width={width} height={height} className={className} />;
+  const step = width / (SPARKLINE_TICKS - 1);
+  const offset = width - (values.length - 1) * step;
+  const points = values.map(
+    (v, i) => `${(offset + i * step).toFixed(1)},${(height - 2 - (v / max) * (height - 4)).toFixed(1)}`
+  );
+  return (
+    <svg width={width} height={height} className={className} aria-hidden="true">
+      <polyline points={points.join(" ")} fill="none" strokeWidth={1.5} className="stroke-current" />
+    </svg>
+  );
+}
+
+/**
+ * EducatorDashboard – class-wide view over N learner streams (same signal
+ * source interface as the overlay). Sortable, filterable grid with current
+ * pattern, severity, session waste and a severity sparkline.
+ */
+const DASHBOARD_COLUMNS = [
+  { key: "name", label: "Learner" },
+  { key: "pattern", label: "Current pattern" },
+  { key: "severity", label: "Severity" },
+  { key: "wastedPct", label: "Session waste" },
+];
+
+export function EducatorDashboard({ learners, config = DEFAULT_CONFIG, clock: clockProp }) {
+  const fallbackClock = useMemo(() => createIntervalClock(config.tickMs), [config.tickMs]);
+  const streams = useLearnerStreams(learners, config, clockProp || fallbackClock);
+  const [sort, setSort] = useState({ key: "severity", dir: "desc" });
+  const [onlyCritical, setOnlyCritical] = useState(false);
+  const [minWastePct, setMinWastePct] = useState(0);
+
+  const rows = learners
+    .map((l) => {
+      const { stream, history } = streams[l.id] || { stream: initialStreamState(config), history: [] };
+      const severity = stream.signalLost
+        ? "lost"
+        : getSeverity(stream.secondsInPattern, config.thresholds, stream.pattern);
+      return {
+        id: l.id,
+        name: l.name,
+        pattern: stream.signalLost ? "Signal lost" : stream.pattern.label,
+        severity,
+        wastedPct: Math.round((stream.wastedSec / Math.max(1, stream.sessionSec)) * 100),
+        history,
+      };
+    })
+    .filter((r) => (!onlyCritical || r.severity === "critical") && r.wastedPct >= minWastePct);
+
+  const rank = (r) => (sort.key === "severity" ? SEVERITY_ORDER.indexOf(r.severity) : r[sort.key]);
+  rows.sort((a, b) => {
+    const x = rank(a);
+    const y = rank(b);
+    const cmp = typeof x === "number" && typeof y === "number" ? x - y : String(x).localeCompare(String(y));
+    return sort.dir === "asc" ? cmp : -cmp;
+  });
+  const toggleSort = (key) =>
+    setSort((s) => (s.key === key ? { key, dir: s.dir === "asc" ? "desc" : "asc" } : { key, dir: "asc" }));
+
+  return (
+    <div className="rounded-2xl border border-white/10 bg-white/5 p-4">
+      <div className="flex flex-wrap items-center justify-between gap-3">
+        <div className="flex items-center gap-2">
+          <Users className="w-5 h-5 opacity-90" />
+          <div className="text-sm uppercase tracking-widest text-white/60">Class Dashboard</div>
+          <span className="text-xs text-white/50">
+            {rows.length} of {learners.length} learners
+          </span>
+        </div>
+        <div className="flex items-center gap-4 text-xs text-white/80">
+          <label className="flex items-center gap-1.5">
+            <input type="checkbox" checked={onlyCritical} onChange={(e) => setOnlyCritical(e.target.checked)} />
+            Currently critical
+          </label>
+          <label className="flex items-center gap-1.5">
+            Waste above
+            <input
+              type="number"
+              min={0}
+              max={100}
+              value={minWastePct}
+              onChange={(e) => setMinWastePct(clamp(Number(e.target.value) || 0, 0, 100))}
+              className="w-14 rounded-md bg-black/30 border border-white/10 px-1.5 py-0.5 tabular-nums"
+            />
+            %
+          </label>
+        </div>
+      </div>
+
+      <table className="mt-3 w-full text-sm">
+        <thead className="text-white/60 text-xs">
+          <tr>
+            {DASHBOARD_COLUMNS.map((c) => (
+              <th
+                key={c.key}
+                className="text-left font-medium py-1 px-2"
+                aria-sort={sort.key === c.key ? (sort.dir === "asc" ? "ascending" : "descending") : "none"}
+              >
+                <button onClick={() => toggleSort(c.key)} className="flex items-center gap-1 hover:text-white">
+                  {c.label}
+                  <ArrowUpDown className="w-3 h-3" />
+                </button>
+              </th>
+            ))}
+            <th className="text-left font-medium py-1 px-2">Last 3 min</th>
+          </tr>
+        </thead>
+        <tbody>
+          {rows.map((r) => (
+            <tr key={r.id} className="odd:bg-white/0 even:bg-white/5">
+              <td className="py-1.5 px-2">{r.name}</td>
+              <td className="py-1.5 px-2 truncate">{r.pattern}</td>
+              <td className="py-1.5 px-2">
+                <SeverityBadge severity={r.severity} />
+              </td>
+              <td className="py-1.5 px-2 tabular-nums">{r.wastedPct}%</td>
+              <td className="py-1.5 px-2 text-white/70">
+                <Sparkline values={r.history} max={SEVERITY_ORDER.length - 1} />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/** A locally simulated class of `n` learners with seeded simulators and a mix of profiles */
+const CLASS_PROFILES = ["focused", undefined, "distractible", undefined, "focused", "cheater"];
+export function createSimulatedClass(n, seed = 1) {
+  return Array.from({ length: n }, (_, i) => ({
+    id: `learner-${i + 1}`,
+    name: `Learner ${String(i + 1).padStart(2, "0")}`,
+    source: createSimulatedSource(DEFAULT_CONFIG, {
+      seed: seed + i,
+      profile: CLASS_PROFILES[i % CLASS_PROFILES.length],
+    }),
+  }));
+}
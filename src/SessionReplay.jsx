@@ -0,0 +1,144 @@
+/**
+ * Session replay
+ * --------------
+ * SessionReplay drives WastemeterOverlay from an exported session (see
+ * parseSession) with a deterministic replay clock, play/pause, speed and a
+ * severity-colored scrubber. `locale` and `messages` localize the controls
+ * and the overlay alike.
+ */
+import React, { useEffect, useMemo, useState } from "react";
+import { Pause, Play, X } from "lucide-react";
+import { createReplaySource } from "./signalSources";
+import { advanceStream, initialStreamState } from "./signalStream";
+import { createReplayClock } from "./clock";
+import { createI18n } from "./i18n";
+import { getSeverity } from "./severity";
+import { DEFAULT_CONFIG, WastemeterOverlay, formatClock, pillBtn, timelineColors } from "./WastemeterOverlay";
+
+const REPLAY_SPEEDS = [1, 4, 16];
+
+export function SessionReplay({ session, onExit, locale, messages }) {
+  const i18n = useMemo(() => createI18n({ locale, messages }), [locale, messages]);
+  const { t, formatNumber } = i18n;
+  const config = useMemo(() => ({ ...DEFAULT_CONFIG, ...session.config }), [session]);
+  const source = useMemo(() => createReplaySource(session), [session]);
+  const clock = useMemo(
+    () =>
+      createReplayClock({
+        length: source.length,
+        tickMs: config.tickMs,
+        startMs: Date.parse(session.session?.startedAt) || 0,
+      }),
+    [source, config.tickMs, session]
+  );
+  const [position, setPosition] = useState(0);
+  const [playing, setPlaying] = useState(false);
+  const [speed, setSpeed] = useState(1);
+
+  // Severity at every tick, folded with the same pure stream logic the overlay uses
+  const runs = useMemo(() => {
+    const out = [];
+    const keys = createReplaySource(session);
+    let state = initialStreamState(config);
+    for (let i = 0; i < keys.length; i++) {
+      state = advanceStream(state, keys.read(), config);
+      const sev = state.signalLost ? "lost" : getSeverity(state.secondsInPattern, config.thresholds, state.pattern);
+      const last = out[out.length - 1];
+      if (last && last.sev === sev) last.to = i + 1;
+      else out.push({ sev, from: i, to: i + 1 });
+    }
+    return out;
+  }, [session, config]);
+
+  useEffect(
+    () =>
+      clock.subscribe(() => {
+        setPosition(clock.position);
+        if (!clock.playing) setPlaying(false);
+      }),
+    [clock]
+  );
+  useEffect(() => {
+    if (playing) clock.play(speed);
+    else clock.pause();
+    return () => clock.pause();
+  }, [clock, playing, speed]);
+
+  const onPlayPause = () => {
+    if (!playing && position >= clock.length) clock.seek(0);
+    setPlaying((p) => !p);
+  };
+
+  return (
+    <>
+      <WastemeterOverlay config={config} source={source} clock={clock} replay locale={locale} messages={messages} />
+
+      <div
+        lang={i18n.locale}
+        dir={i18n.dir}
+        className="fixed bottom-6 right-6 z-40 w-[380px] bg-neutral-900/85 text-neutral-100 rounded-2xl border border-white/10 shadow-2xl backdrop-blur-xl p-4"
+      >
+        <div className="flex items-center justify-between">
+          <div className="font-semibold">{t("replay.title")}</div>
+          <button onClick={onExit} className="p-1 rounded-lg hover:bg-white/10" aria-label={t("replay.exit")}>
+            <X className="w-4 h-4" />
+          </button>
+        </div>
+        <div className="relative mt-3 h-6">
+          <div className="absolute inset-0 flex overflow-hidden rounded-md">
+            {runs.map((r) => (
+              <div
+                key={r.from}
+                className={timelineColors[r.sev]}
+                style={{ width: `${((r.to - r.from) / Math.max(1, clock.length)) * 100}%` }}
+                title={t("replay.segment", {
+                  severity: t(`severity.${r.sev}`),
+                  from: formatClock(r.from),
+                  to: formatClock(r.to),
+                })}
+              />
+            ))}
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={clock.length}
+            value={position}
+            onChange={(e) => clock.seek(Number(e.target.value))}
+            className="absolute inset-0 w-full h-6 opacity-60 cursor-pointer accent-white bg-transparent"
+            aria-label={t("replay.position")}
+            aria-valuetext={t("replay.positionValue", {
+              position: formatClock(position),
+              length: formatClock(clock.length),
+            })}
+          />
+        </div>
+        <div className="mt-3 flex items-center gap-2 text-xs">
+          <button
+            onClick={onPlayPause}
+            className={pillBtn}
+            aria-label={t(playing ? "replay.pauseLabel" : "replay.playLabel")}
+          >
+            {playing ? <Pause className="w-3.5 h-3.5" /> : <Play className="w-3.5 h-3.5" />}
+            {t(playing ? "replay.pause" : "replay.play")}
+          </button>
+          {REPLAY_SPEEDS.map((x) => (
+            <button
+              key={x}
+              onClick={() => setSpeed(x)}
+              aria-pressed={speed === x}
+              className={`px-2 py-1 rounded-lg transition focus:outline-none focus:ring-2 focus:ring-white/40 ${
+                speed === x ? "bg-white/25" : "bg-white/10 hover:bg-white/15"
+              }`}
+            >
+              {t("replay.speed", { speed: formatNumber(x) })}
+            </button>
+          ))}
+          <span className="ml-auto tabular-nums text-white/70">
+            {formatClock(position)} / {formatClock(clock.length)}
+          </span>
+        </div>
+      </div>
+    </>
+  );
+}
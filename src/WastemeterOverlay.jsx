@@ -0,0 +1,2700 @@
+import React, {
+  createContext,
+  forwardRef,
+  useCallback,
+  useContext,
+  useEffect,
+  useImperativeHandle,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { motion, AnimatePresence, useMotionValue } from "framer-motion";
+import {
+  Brain,
+  Bell,
+  Timer as TimerIcon,
+  GripVertical,
+  Pause,
+  Play,
+  Square,
+  RotateCcw,
+  FileText,
+  Download,
+  History,
+  X,
+  Volume2,
+  VolumeX,
+  Settings as SettingsIcon,
+  BellRing,
+  BellOff,
+  Upload,
+  Trophy,
+  Award,
+  ShieldCheck,
+  Trash2,
+  Minimize2,
+  Maximize2,
+  PanelBottomOpen,
+} from "lucide-react";
+import { createSimulatedSource } from "./signalSources";
+import { advanceStream, initialStreamState } from "./signalStream";
+import { createIntervalClock } from "./clock";
+import {
+  deleteUserData,
+  findActiveSessionRecord,
+  listSessionRecords,
+  loadAchievements,
+  loadConsent,
+  loadPrefs,
+  newSessionId,
+  purgeSessionRecords,
+  saveAchievements,
+  saveConsent,
+  savePrefs,
+  saveSessionRecord,
+} from "./persistence";
+import {
+  INTERVAL_PATTERNS,
+  closeInterval,
+  endSnooze,
+  logTick,
+  openInterval,
+  startSnooze,
+  summarizeLessonParts,
+} from "./sessionLog";
+import { computeTrends } from "./analytics";
+import { BADGES, GOAL_TYPES, emptyAchievements, evaluateGoal, recordSession, streakBadges } from "./goals";
+import { createI18n } from "./i18n";
+import { ARROW_DIRECTIONS, CORNER_KEYS, ariaShortcut, clampMove, cornerMove, matchesShortcut } from "./keyboard";
+import { serializeSession, toSessionCSV, toSessionJSON } from "./sessionExport";
+import { playSound, unlockAudioOnGesture } from "./audio";
+import { initialEscalationState, stepEscalation } from "./escalation";
+import { SEVERITY_ORDER, escalates, getSeverity } from "./severity";
+import { CONSENT_VERSION, anonymizeSession, hasConsent, retentionCutoff } from "./privacy";
+import { LAYOUTS, PALETTES, THEME_MODES, resolveTheme } from "./theme";
+import {
+  FEEDBACK_CHANNELS,
+  SOUND_LEVELS,
+  applySettings,
+  mergeSettings,
+  parsePreset,
+  settingsFromConfig,
+  toPresetJSON,
+  validateSettings,
+} from "./settings";
+
+/**
+ * Wastemeter – AI Focus Overlay
+ * -----------------------------
+ * The overlay module behind the library entry (src/lib.js). It provides the
+ * “Wastemeter” overlay for learning apps:
+ *  • Real-time anti-pattern detection from a signal source (simulated by default)
+ *  • Progressive negative feedback (color → motion → sound → haptics)
+ *  • Draggable floating widget with accessibility & reduced-motion support
+ *  • Snooze, mute, and customizable thresholds
+ *  • Session summary panel and educator-friendly logs
+ *
+ * It also exports the lesson context and the small UI helpers that
+ * SessionReplay.jsx and EducatorDashboard.jsx share. The demo page lives in
+ * WastemeterDemo.jsx.
+ *
+ * TECHNOLOGY: React + TailwindCSS + Framer Motion + lucide-react
+ * Tailwind is assumed to be available in the host project.
+ */
+
+/**
+ * CONFIGURATION
+ */
+const DEFAULT_CONFIG = {
+  // Frequency of AI polling / UI refresh (ms)
+  tickMs: 1000,
+  // Thresholds (seconds) to escalate visual/audio cues
+  thresholds: {
+    warn: 10,
+    high: 25,
+    critical: 45,
+  },
+  // Per-pattern rules:
+  //  • waste: counts as wasted time, scaled by weight (0–1, default 1), and escalates
+  //  • flag: escalates without counting time (integrity / pacing patterns)
+  //  • thresholds: optional per-pattern overrides of the global thresholds
+  patterns: [
+    { key: "FOCUSED", label: "Focused", waste: false },
+    { key: "SOCIALIZING", label: "Socializing", waste: true },
+    { key: "IDLING", label: "Idling", waste: true },
+    { key: "NON_LEARNING_CONTENT", label: "Non-learning Content", waste: true },
+    { key: "AWAY_FROM_SEAT", label: "Away from Seat", waste: true },
+    { key: "EATING", label: "Eating", waste: true, weight: 0.5, thresholds: { warn: 20, high: 45, critical: 90 } },
+    { key: "RUSHING", label: "Rushing", waste: false, flag: true, thresholds: { warn: 20, high: 40, critical: 60 } },
+    { key: "SKIPPING_RECOMMENDED_LESSON", label: "Skipping Lesson", waste: false, flag: true },
+    { key: "CHEATING", label: "Cheating", waste: false, flag: true, thresholds: { warn: 2, high: 5, critical: 10 } },
+  ],
+  // Simulated session length (seconds). When reached, session auto-ends.
+  targetSessionSec: 8 * 60, // 8 minutes for demo
+  // What the ring shows: cumulative "session" waste, or the rolling "rolling1m" / "rolling5m" rate
+  ringMetric: "session",
+  // Screen readers hear pattern/severity changes at most this often (seconds)
+  announceMinSec: 5,
+  // Look (see ./theme.js): "dark", "light" or "auto" mode plus per-level token overrides;
+  // the widget as a "card", a minimized "pill" or a top "edge" bar; the summary tray
+  theme: { mode: "dark" },
+  layout: "card",
+  showTray: true,
+  // Privacy (see ./privacy.js): ask before tracking anything, optionally force anonymous
+  // sessions, and delete stored sessions after retentionDays (null keeps them)
+  privacy: { requireConsent: true, anonymous: false, retentionDays: 30 },
+  // Page-wide keyboard shortcuts (see ./keyboard.js); null disables one
+  shortcuts: { snooze: "Alt+Shift+S", mute: "Alt+Shift+M", pause: "Alt+Shift+P", focus: "Alt+Shift+W" },
+  // Escalation sounds per severity: tone sequences (freq Hz, ms) at a per-level volume (0–1).
+  // A clip uploaded in the settings panel replaces a level's tones.
+  sounds: {
+    recover: {
+      volume: 0.5,
+      tones: [
+        { freq: 523, ms: 90 },
+        { freq: 784, ms: 140 },
+      ],
+    },
+    mild: { volume: 0.5, tones: [{ freq: 660, ms: 90 }] },
+    warn: {
+      volume: 0.6,
+      tones: [
+        { freq: 660, ms: 80 },
+        { freq: 880, ms: 100 },
+      ],
+    },
+    high: {
+      volume: 0.8,
+      tones: [
+        { freq: 880, ms: 90 },
+        { freq: 880, ms: 90 },
+        { freq: 1100, ms: 140 },
+      ],
+    },
+    critical: {
+      volume: 1,
+      tones: [
+        { freq: 1046, ms: 120, type: "square" },
+        { freq: 784, ms: 120, type: "square" },
+        { freq: 1046, ms: 120, type: "square" },
+        { freq: 784, ms: 180, type: "square" },
+      ],
+    },
+  },
+  // When to alert (see ./escalation.js): cooldown between alerts, hysteresis before
+  // de-escalating, per-level actions with repeat reminders, and a "back on track" cue
+  escalation: {
+    cooldownSec: 5,
+    deescalateAfterSec: 4,
+    levels: {
+      mild: { actions: ["sound"] },
+      warn: { actions: ["sound", "haptic"], repeatSec: 60 },
+      high: { actions: ["sound", "haptic", "shake"], repeatSec: 30 },
+      critical: { actions: ["sound", "haptic", "shake"], repeatSec: 15 },
+    },
+    recovery: { minDistractionSec: 10, actions: ["sound", "haptic"] },
+  },
+  // Demo simulator (see createSimulatedSource / SIMULATION_PROFILES):
+  //  • weights: how likely each pattern is picked next (missing → 1)
+  //  • transitions: per-pattern overrides of those weights after that pattern
+  //  • dwell: seconds spent in a pattern, uniform in [min, max]
+  simulation: {
+    // Higher weight for FOCUSED to keep demo realistic
+    weights: {
+      FOCUSED: 36,
+      SOCIALIZING: 8,
+      IDLING: 10,
+      NON_LEARNING_CONTENT: 10,
+      AWAY_FROM_SEAT: 4,
+      EATING: 4,
+      RUSHING: 6,
+      SKIPPING_RECOMMENDED_LESSON: 4,
+      CHEATING: 2,
+    },
+    transitions: {
+      IDLING: { AWAY_FROM_SEAT: 14, NON_LEARNING_CONTENT: 14 },
+      SOCIALIZING: { SOCIALIZING: 0, IDLING: 14 },
+      AWAY_FROM_SEAT: { AWAY_FROM_SEAT: 0, EATING: 8 },
+      RUSHING: { SKIPPING_RECOMMENDED_LESSON: 10, CHEATING: 5 },
+    },
+    dwell: {
+      default: { min: 10, max: 20 },
+      FOCUSED: { min: 6, max: 12 },
+    },
+  },
+};
+
+/** Utility: clamp */
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+/** Utility: seconds → m:ss */
+const formatClock = (sec) => `${Math.floor(sec / 60)}:${String(Math.floor(sec % 60)).padStart(2, "0")}`;
+
+/** Utility: save text as a file download (browser only) */
+function downloadFile(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Hooks: media-query preferences (reduced motion, more contrast / forced colors, dark scheme)
+ */
+function useMediaQuery(query) {
+  const [matches, setMatches] = useState(false);
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    const media = window.matchMedia(query);
+    setMatches(media.matches);
+    const onChange = () => setMatches(media.matches);
+    media.addEventListener("change", onChange);
+    return () => media.removeEventListener("change", onChange);
+  }, [query]);
+  return matches;
+}
+
+const usePrefersReducedMotion = () => useMediaQuery("(prefers-reduced-motion: reduce)");
+const usePrefersContrast = () => useMediaQuery("(prefers-contrast: more), (forced-colors: active)");
+const usePrefersDark = () => useMediaQuery("(prefers-color-scheme: dark)");
+
+/**
+ * Signal stream
+ * Accrues session, pattern and waste time from any signal source (see
+ * ./signalSources.js) on every tick of `clock` (see ./clock.js). One call to
+ * `source.read()` per tick; a null read means "signal lost" and nothing is
+ * accrued until the source recovers (see ./signalStream.js).
+ * While `running` is false the source is not read at all, so pattern dwell
+ * picks up where it left off on resume; `connected: false` also stops the
+ * source (session ended). Returns `[state, reset]`; `reset(state)` restores a
+ * saved state instead of starting over.
+ */
+function useSignalStream(source, config, { clock, running = true, connected = true }) {
+  const [state, setState] = useState(() => initialStreamState(config));
+  // Read through a ref so ticks always see the latest config without resubscribing
+  const configRef = useRef(config);
+  configRef.current = config;
+
+  useEffect(() => {
+    if (!connected) return;
+    source.start?.();
+    return () => source.stop?.();
+  }, [source, connected]);
+
+  useEffect(() => {
+    if (!running) return;
+    return clock.subscribe(({ ticks = 1, reset = false }) => {
+      if (reset) source.reset?.();
+      // Read outside the updater so the source advances exactly once per tick
+      const keys = Array.from({ length: ticks }, () => source.read());
+      const status = source.status?.() ?? null;
+      const config = configRef.current;
+      setState((prev) =>
+        keys.reduce((s, key) => advanceStream(s, key, config, status), reset ? initialStreamState(config) : prev)
+      );
+    });
+  }, [clock, source, running]);
+
+  const reset = (restored) => {
+    source.reset?.();
+    setState(restored || initialStreamState(config));
+  };
+
+  return [state, reset];
+}
+
+/**
+ * Progress Ring (SVG)
+ */
+function ProgressRing({ size = 96, stroke = 10, progress = 0, trackClass = "", barClass = "" }) {
+  const r = (size - stroke) / 2;
+  const c = 2 * Math.PI * r;
+  const dash = (clamp(progress, 0, 100) / 100) * c;
+  return (
+    <svg width={size} height={size} className="block">
+      <circle cx={size / 2} cy={size / 2} r={r} strokeWidth={stroke} className={`fill-none ${trackClass}`} />
+      <circle
+        cx={size / 2}
+        cy={size / 2}
+        r={r}
+        strokeWidth={stroke}
+        strokeDasharray={`${dash} ${c - dash}`}
+        className={`fill-none rotate-[-90deg] origin-center ${barClass}`}
+      />
+    </svg>
+  );
+}
+
+/**
+ * Optional: feedback sounds + haptics
+ * Sounds play through one shared AudioContext (see ./audio.js), unlocked on
+ * the first user gesture. `sounds` maps severity level → sound.
+ */
+function useFeedback({ muted, volume = 1, sounds, reducedMotion, sound = true, haptics = true }) {
+  useEffect(() => unlockAudioOnGesture(), []);
+
+  const play = (level) => {
+    if (muted || !sound || !sounds?.[level]) return;
+    playSound(sounds[level], volume);
+  };
+
+  const vibrate = (ms = 30) => {
+    if (reducedMotion || !haptics) return;
+    try {
+      if (typeof navigator !== "undefined" && typeof navigator.vibrate === "function") {
+        navigator.vibrate(ms);
+      }
+    } catch {
+      // no-op
+    }
+  };
+
+  return {
+    play,
+    // Preview a level's sound (ignores mute and the sound channel)
+    test: (level) => sounds?.[level] && playSound(sounds[level], volume),
+    vibrate,
+  };
+}
+
+/**
+ * Screen-reader announcements: `message` is spoken when `key` changes, at
+ * most once per `minMs`; changes inside that window collapse into one
+ * announcement of the latest message. `say(text)` speaks immediately (for
+ * responses to the learner's own actions). Returns [text, say] – render
+ * `text` in a polite live region.
+ */
+function useAnnouncer(key, message, minMs) {
+  const [text, setText] = useState("");
+  const latest = useRef(message);
+  latest.current = message;
+  const lastAt = useRef(-Infinity);
+  const timer = useRef(null);
+  const say = useCallback((next) => {
+    clearTimeout(timer.current);
+    timer.current = null;
+    lastAt.current = Date.now();
+    setText(next);
+  }, []);
+  const mounted = useRef(false);
+  useEffect(() => {
+    if (!mounted.current) {
+      mounted.current = true;
+      return;
+    }
+    if (timer.current) return; // the pending announcement picks up the latest message
+    const wait = lastAt.current + minMs - Date.now();
+    if (wait <= 0) say(latest.current);
+    else timer.current = setTimeout(() => say(latest.current), wait);
+  }, [key]);
+  useEffect(() => () => clearTimeout(timer.current), []);
+  return [text, say];
+}
+
+/**
+ * Lesson context (see ./lessonContext.js)
+ * <LessonProvider tracker={…}> makes a lesson tracker available to overlays
+ * and content below it; `useLessonSection(id, label)` returns a ref that
+ * marks that element's section as current while it fills most of the view;
+ * `useLesson()` gives content the tracker itself (checkpoints, video time).
+ */
+const LessonContext = createContext(null);
+
+function LessonProvider({ tracker, children }) {
+  return <LessonContext.Provider value={tracker}>{children}</LessonContext.Provider>;
+}
+
+const useLesson = () => useContext(LessonContext);
+
+function useLessonSection(id, label) {
+  const lesson = useLesson();
+  const observer = useRef(null);
+  useEffect(() => lesson?.registerSection(id, label), [lesson, id, label]);
+  return useCallback(
+    (el) => {
+      observer.current?.disconnect();
+      observer.current = null;
+      if (!el || !lesson || typeof IntersectionObserver === "undefined") return;
+      observer.current = new IntersectionObserver(
+        ([entry]) => (entry.isIntersecting ? lesson.enterSection(id) : lesson.leaveSection(id)),
+        { threshold: 0.6 }
+      );
+      observer.current.observe(el);
+    },
+    [lesson, id]
+  );
+}
+
+/**
+ * Localization (see ./i18n.js): the overlay provides its translator to the
+ * panels it renders; anything outside an overlay gets English.
+ */
+const I18nContext = createContext(createI18n({ locale: "en" }));
+const useI18n = () => useContext(I18nContext);
+
+/** Localized name for a log segment's pattern key (config pattern or interval) */
+function patternName(t, config, key) {
+  if (INTERVAL_PATTERNS.includes(key)) return t(`interval.${key}`);
+  const pattern = config.patterns.find((p) => p.key === key);
+  return t(`pattern.${key}`, {}, pattern?.label ?? key.replaceAll("_", " "));
+}
+
+/**
+ * WastemeterOverlay – Floating widget
+ * `source` is any signal source (see ./signalSources.js); defaults to the
+ * random simulator. Session lifecycle: idle → running ⇄ paused → ended; the
+ * session ends by itself once `config.targetSessionSec` is reached.
+ * `clock` (see ./clock.js) defaults to wall-clock ticks every `config.tickMs`.
+ * With `replay` the overlay only renders what the clock/source drive: no
+ * session controls, feedback, logging or summary tray.
+ * With `persist` (default outside replay) preferences are kept per `userId`
+ * in localStorage and the session in IndexedDB (see ./persistence.js); an
+ * unfinished session is restored paused after a reload.
+ * The settings panel (thresholds, tick, waste toggles, feedback channels) is
+ * layered over `config` live (see ./settings.js) and saved with the prefs.
+ *
+ * Positive mode (opt-in, saved with the prefs) adds a session goal with live
+ * progress and focus-streak badges; badges add up across sessions in the
+ * user's achievements (see ./goals.js) and the report shows the goal result.
+ *
+ * Log segments are tagged with the lesson section / video range from the
+ * `lesson` tracker (prop, or the nearest <LessonProvider>; see
+ * ./lessonContext.js) and the report breaks waste down by lesson part.
+ *
+ * Strings come from the message catalogs for `locale` (default: the browser
+ * language), with host `messages` ({ [locale]: { key: message } }) layered on
+ * top; right-to-left locales mirror the layout (see ./i18n.js).
+ *
+ * Host apps observe the overlay through `onSeverityChange(severity, prev)`,
+ * `onPatternChange(pattern, prev)`, `onSessionEnd(session)` (the export
+ * object, see ./sessionExport.js) and `onSnooze(snooze | null)`, and drive it
+ * through a ref: `start()`, `pause()`, `reset()`, `snooze(minutes | option)`
+ * and `getSnapshot()`.
+ */
+const WastemeterOverlay = forwardRef(function WastemeterOverlay(
+  {
+    config: baseConfig = DEFAULT_CONFIG,
+    source,
+    clock: clockProp,
+    replay = false,
+    autoStart = true,
+    userId = "default",
+    persist = !replay,
+    onSeverityChange,
+    onPatternChange,
+    onSessionEnd,
+    onSnooze: onSnoozeProp,
+    lesson: lessonProp,
+    locale,
+    messages,
+  },
+  ref
+) {
+  const i18n = useMemo(() => createI18n({ locale, messages }), [locale, messages]);
+  const { t } = i18n;
+  const lessonFromContext = useContext(LessonContext);
+  const lesson = lessonProp || lessonFromContext;
+  const reducedMotion = usePrefersReducedMotion();
+  const prefersContrast = usePrefersContrast();
+  const prefersDark = usePrefersDark();
+  const [prefs] = useState(() => (persist ? loadPrefs(userId) : {}));
+  // Consent gate (see ./privacy.js): until the learner agrees nothing is read, logged or stored
+  const privacy = { ...DEFAULT_CONFIG.privacy, ...baseConfig.privacy };
+  const [consent, setConsent] = useState(() => (persist ? loadConsent(userId) : null));
+  const [declined, setDeclined] = useState(false);
+  const consented = replay || !privacy.requireConsent || hasConsent(consent);
+  const anonymous = !replay && (privacy.anonymous || !!(consented && consent?.anonymous));
+  const [dataOpen, setDataOpen] = useState(false);
+  const defaultSettings = useMemo(() => settingsFromConfig(baseConfig), [baseConfig]);
+  const [settings, setSettings] = useState(() => mergeSettings(defaultSettings, prefs.settings));
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const config = useMemo(() => applySettings(baseConfig, settings), [baseConfig, settings]);
+  // Layout (see ./theme.js): the card or edge bar minimizes to the pill ("pill" starts
+  // minimized); the consent gate always shows the full card
+  const [collapsed, setCollapsed] = useState(prefs.collapsed ?? settings.layout === "pill");
+  const changeSettings = (next) => {
+    if (next.layout !== settings.layout) setCollapsed(next.layout === "pill");
+    setSettings(next);
+  };
+  const { channels } = settings;
+  // The built-in simulator only reads the pattern keys and `simulation`, so a host passing
+  // its config inline doesn't tear it down and re-seed it on every render
+  const simulatorKey = JSON.stringify([baseConfig.patterns.map((p) => p.key), baseConfig.simulation ?? null]);
+  const fallbackSource = useMemo(() => createSimulatedSource(baseConfig), [simulatorKey]);
+  const fallbackClock = useMemo(() => createIntervalClock(config.tickMs), [config.tickMs]);
+  const clock = clockProp || fallbackClock;
+  const [dragEnabled, setDragEnabled] = useState(prefs.dragEnabled ?? true);
+  // { mode: "timed", until } | { mode: "session" } | { mode: "pattern", pattern } | null
+  const [snooze, setSnooze] = useState(prefs.snooze ?? null);
+  const [snoozes, setSnoozes] = useState([]);
+  const [snoozeMenuOpen, setSnoozeMenuOpen] = useState(false);
+  const [muted, setMuted] = useState(prefs.muted ?? false);
+  const [volume, setVolume] = useState(prefs.volume ?? 0.8);
+  const dragX = useMotionValue(prefs.position?.x ?? 0);
+  const dragY = useMotionValue(prefs.position?.y ?? 0);
+  // With persistence the session waits in "idle" until we know whether there is one to restore
+  const [phase, setPhase] = useState(autoStart && !persist && consented ? "running" : "idle");
+  const [segments, setSegments] = useState([]);
+  const [peakSever, setPeakSever] = useState("ok");
+  const [escalations, setEscalations] = useState(0);
+  const [reportOpen, setReportOpen] = useState(false);
+  const [startedAt, setStartedAt] = useState(null);
+  const [endedAt, setEndedAt] = useState(null);
+  const [historyOpen, setHistoryOpen] = useState(false);
+  const [trayTab, setTrayTab] = useState("log");
+  // Positive mode: { enabled, goal: { type, target } }
+  const [rewards, setRewards] = useState(prefs.rewards ?? { enabled: false, goal: null });
+  const [rewardsOpen, setRewardsOpen] = useState(false);
+  const [achievements, setAchievements] = useState(() => (persist && loadAchievements(userId)) || emptyAchievements());
+  const [sessionBadges, setSessionBadges] = useState([]);
+  const [badgeToast, setBadgeToast] = useState(null); // { badge, atSec }
+  const [goalResult, setGoalResult] = useState(null);
+  const sessionIdRef = useRef(null);
+  const deletingRef = useRef(false);
+  const running = phase === "running";
+  const [ai, resetStream] = useSignalStream(source || fallbackSource, config, {
+    clock,
+    running,
+    connected: consented && phase !== "ended",
+  });
+
+  const { thresholds } = config;
+  const now = clock.now();
+  const snoozed =
+    !!snooze &&
+    (snooze.mode !== "timed" || now < snooze.until) &&
+    (snooze.mode !== "pattern" || snooze.pattern === ai.pattern.key);
+
+  // Paused time is its own log segment; it closes on resume or end
+  useEffect(() => {
+    if (phase === "paused") setSegments((S) => openInterval(S, "PAUSED", clock.now()));
+    else setSegments((S) => closeInterval(S, clock.now()));
+  }, [phase]);
+
+  // Session lifecycle
+  useEffect(() => {
+    if (phase === "running") setStartedAt((t) => t ?? clock.now());
+  }, [phase]);
+  const endSession = () => {
+    clearSnooze();
+    setPhase("ended");
+    setEndedAt(clock.now());
+    setReportOpen(true);
+  };
+  const clearSession = () => {
+    resetStream();
+    setEndedAt(null);
+    setSegments([]);
+    setSnooze(null);
+    setSnoozes([]);
+    setPeakSever("ok");
+    setEscalations(0);
+    setAlertSecs([]);
+    setReportOpen(false);
+    escalationRef.current = initialEscalationState();
+    setRecoveredAtSec(null);
+    setSessionBadges([]);
+    setBadgeToast(null);
+    setGoalResult(null);
+  };
+  const newSession = () => {
+    clearSession();
+    sessionIdRef.current = anonymous ? null : newSessionId();
+    setStartedAt(clock.now());
+    setPhase("running");
+  };
+  useEffect(() => {
+    if (replay) return;
+    if (phase === "running" && config.targetSessionSec && ai.sessionSec >= config.targetSessionSec) endSession();
+  }, [phase, ai.sessionSec, config.targetSessionSec, replay]);
+  const remainingSec = Math.max(0, (config.targetSessionSec || 0) - ai.sessionSec);
+
+  // Feedback hooks
+  const feedback = useFeedback({
+    muted,
+    volume,
+    sounds: config.sounds,
+    reducedMotion,
+    sound: channels.sound,
+    haptics: channels.haptics,
+  });
+
+  const sever = getSeverity(ai.secondsInPattern, thresholds, ai.pattern);
+  const highContrast = settings.highContrast || prefersContrast;
+  // Theme (see ./theme.js): mode, host overrides and high contrast resolve to one palette
+  const look = useMemo(
+    () => resolveTheme(config.theme, { dark: prefersDark, highContrast }),
+    [config.theme, prefersDark, highContrast]
+  );
+  const theme = look.palette[!channels.color ? "neutral" : ai.signalLost ? "lost" : sever];
+  const view = !consented ? "card" : collapsed ? "pill" : settings.layout === "edge" ? "edge" : "card";
+  const edge = view === "edge";
+
+  const wastedPct = Math.round((ai.wastedSec / Math.max(1, ai.sessionSec)) * 100);
+
+  // Trend analytics from the log (see ./analytics.js), only while something shows them: the
+  // tray's Trends tab, a rolling-rate ring, or positive mode (goal progress and streak badges)
+  const [alertSecs, setAlertSecs] = useState([]);
+  const ring = replay ? RING_METRICS.session : RING_METRICS[settings.ringMetric] || RING_METRICS.session;
+  const trendsInUse =
+    (!replay && consented && settings.showTray && trayTab === "trends") || !!ring.value || (rewards.enabled && !replay);
+  const noTrends = useMemo(() => computeTrends([], config), [config]);
+  const trends = useMemo(
+    () => (trendsInUse ? computeTrends(segments, config, alertSecs) : noTrends),
+    [trendsInUse, segments, config, alertSecs, noTrends]
+  );
+  const ringPct = ring.value ? trends[ring.value] : wastedPct;
+  const progressForRing = clamp(ringPct, 0, 100);
+
+  // Escalation policy (see ./escalation.js): stepped once per accrued second,
+  // alerts are delivered unless snoozed
+  const escalationRef = useRef(initialEscalationState());
+  const [shakeCount, setShakeCount] = useState(0);
+  const [recoveredAtSec, setRecoveredAtSec] = useState(null);
+  useEffect(() => {
+    if (replay || !running || ai.signalLost || ai.sessionSec === 0) return;
+    const { state, alerts } = stepEscalation(
+      escalationRef.current,
+      { severity: sever, focused: !escalates(ai.pattern), nowSec: ai.sessionSec },
+      config.escalation
+    );
+    escalationRef.current = state;
+    if (snoozed) return;
+    for (const alert of alerts) {
+      const idx = SEVERITY_ORDER.indexOf(alert.level);
+      if (alert.actions.includes("sound")) feedback.play(alert.kind === "recover" ? "recover" : alert.level);
+      if (alert.actions.includes("haptic")) feedback.vibrate(alert.kind === "recover" ? 15 : 15 + idx * 10);
+      if (alert.actions.includes("shake")) setShakeCount((n) => n + 1);
+      if (alert.kind === "escalate") setEscalations((n) => n + 1);
+      if (alert.kind !== "recover") setAlertSecs((A) => [...A, ai.sessionSec]);
+      if (alert.kind === "recover") setRecoveredAtSec(ai.sessionSec);
+    }
+  }, [ai.sessionSec]);
+
+  // Positive mode: live goal progress, streak badges as they are earned, and
+  // the goal result + badges folded into the achievements when the session ends
+  const goal = rewards.enabled && !replay ? rewards.goal : null;
+  const goalStatus = goal
+    ? evaluateGoal(goal, { sessionSec: ai.sessionSec, wastedSec: ai.wastedSec, focusedSec: trends.focusedSec })
+    : null;
+  useEffect(() => {
+    if (!rewards.enabled || replay) return;
+    const earned = streakBadges(trends.bestSec).filter((b) => !sessionBadges.includes(b.id));
+    if (earned.length === 0) return;
+    setSessionBadges((B) => [...B, ...earned.map((b) => b.id)]);
+    setBadgeToast({ badge: earned[earned.length - 1], atSec: ai.sessionSec });
+  }, [trends.bestSec, rewards.enabled]);
+  useEffect(() => {
+    if (phase !== "ended" || endedAt == null || !rewards.enabled || replay) return;
+    const met = !!goalStatus?.met;
+    const badgeIds = met ? [...sessionBadges, "goal-met"] : sessionBadges;
+    setSessionBadges(badgeIds);
+    setGoalResult(goal ? { goal, met, value: goalStatus.value } : null);
+    const next = recordSession(achievements, {
+      badgeIds,
+      goalSet: !!goal,
+      goalMet: met,
+      bestStreakSec: trends.bestSec,
+      ts: endedAt,
+    });
+    setAchievements(next);
+    if (persist && !anonymous) saveAchievements(userId, next);
+  }, [phase, endedAt]);
+  const goalLabel = (g) =>
+    g.type === "maxWastePct"
+      ? t("goal.maxWastePct", { pct: i18n.formatPercent(g.target) })
+      : t("goal.focusedMinutes", { count: g.target });
+  const goalDetail = (g, value) =>
+    g.type === "maxWastePct"
+      ? t("goal.wasted", { pct: i18n.formatPercent(value) })
+      : t("goal.focusedOf", { minutes: i18n.formatNumber(value), target: i18n.formatNumber(g.target) });
+  const showBadgeToast = badgeToast != null && ai.sessionSec - badgeToast.atSec < 4;
+
+  // Track the worst severity reached this session
+  useEffect(() => {
+    if (!running || ai.signalLost) return;
+    setPeakSever((p) => (SEVERITY_ORDER.indexOf(sever) > SEVERITY_ORDER.indexOf(p) ? sever : p));
+  }, [sever, running, ai.signalLost]);
+
+  // Session log as pattern segments (educator analytics); one update per accrued tick
+  useEffect(() => {
+    if (replay || ai.sessionSec === 0) return;
+    setSegments((S) =>
+      logTick(S, {
+        pattern: ai.pattern.key,
+        wasted: ai.pattern.waste,
+        severity: sever,
+        ts: clock.now(),
+        context: lesson?.current(),
+      })
+    );
+  }, [ai.sessionSec, replay]);
+
+  // Signal-lost time is an interval segment too
+  useEffect(() => {
+    if (!replay && ai.signalLost) setSegments((S) => openInterval(S, "SIGNAL_LOST", clock.now()));
+  }, [ai.signalLost, replay]);
+
+  // Persistence: preferences, only once consented and never for anonymous sessions
+  const storePrefs = persist && consented && !anonymous;
+  const savePosition = () =>
+    storePrefs && savePrefs(userId, { ...loadPrefs(userId), position: { x: dragX.get(), y: dragY.get() } });
+  useEffect(() => {
+    if (storePrefs)
+      savePrefs(userId, { ...loadPrefs(userId), muted, volume, dragEnabled, snooze, settings, rewards, collapsed });
+  }, [storePrefs, userId, muted, volume, dragEnabled, snooze, settings, rewards, collapsed]);
+
+  // Persistence: once consented, purge sessions past retention, then restore an unfinished
+  // one (paused, with the reload gap logged as PAUSED). Anonymous sessions are never stored.
+  useEffect(() => {
+    if (!consented || replay) return;
+    if (!persist || anonymous) {
+      if (autoStart) setPhase((p) => (p === "idle" ? "running" : p));
+      return;
+    }
+    let cancelled = false;
+    const cutoff = retentionCutoff(privacy.retentionDays, Date.now());
+    Promise.resolve(cutoff != null && purgeSessionRecords(userId, cutoff))
+      .then(() => findActiveSessionRecord(userId))
+      .then((record) => {
+        if (cancelled) return;
+        if (!record) {
+          sessionIdRef.current = newSessionId();
+          if (autoStart) setPhase("running");
+          return;
+        }
+        const {
+          stream,
+          segments: saved,
+          snoozes: savedSnoozes = [],
+          startedAt: savedStart,
+          peakSeverity,
+          escalations: savedEscalations,
+          alertSecs: savedAlertSecs = [],
+          badges: savedBadges = [],
+        } = record.data;
+        sessionIdRef.current = record.id;
+        resetStream({
+          ...stream,
+          pattern: config.patterns.find((p) => p.key === stream.patternKey) || config.patterns[0],
+          signalLost: false,
+          status: null,
+        });
+        setSegments(openInterval(saved, "PAUSED", record.updatedAt));
+        setSnoozes(savedSnoozes);
+        setStartedAt(savedStart);
+        setPeakSever(peakSeverity);
+        setEscalations(savedEscalations);
+        setAlertSecs(savedAlertSecs);
+        setSessionBadges(savedBadges);
+        setPhase("paused");
+      })
+      .catch(() => {
+        // Storage failed (or the record was unreadable): start fresh rather than wait forever
+        if (cancelled) return;
+        sessionIdRef.current = newSessionId();
+        if (autoStart) setPhase("running");
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [persist, userId, consented, anonymous]);
+
+  // Persistence: save the session on every tick and lifecycle change
+  const saveSession = () => {
+    if (!persist || anonymous || !sessionIdRef.current || phase === "idle" || deletingRef.current) return;
+    const ended = phase === "ended";
+    const { pattern, ...stream } = ai;
+    saveSessionRecord({
+      id: sessionIdRef.current,
+      userId,
+      status: ended ? "ended" : "active",
+      summary: { startedAt, endedAt, totalSec: ai.sessionSec, wastedSec: ai.wastedSec, wastedPct },
+      data: {
+        stream: { ...stream, patternKey: pattern.key },
+        segments,
+        snoozes,
+        startedAt,
+        peakSeverity: peakSever,
+        escalations,
+        alertSecs,
+        badges: sessionBadges,
+        export: ended
+          ? serializeSession({ config, stream: ai, segments, snoozes, startedAt, endedAt, state: phase })
+          : null,
+      },
+    });
+  };
+  useEffect(saveSession, [ai.sessionSec, phase]);
+
+  // Export the full session (JSON for re-import/replay, CSV for spreadsheets); anonymous
+  // sessions leave the overlay without timestamps (see ./privacy.js)
+  const shareable = () => {
+    const session = serializeSession({ config, stream: ai, segments, snoozes, startedAt, endedAt, state: phase });
+    return anonymous ? anonymizeSession(session) : session;
+  };
+  const exportSession = (format) => {
+    const session = shareable();
+    const stamp = anonymous ? "anonymous" : (session.session.startedAt || session.exportedAt).replace(/[:.]/g, "-");
+    if (format === "csv") downloadFile(`wastemeter-session-${stamp}.csv`, toSessionCSV(session), "text/csv");
+    else downloadFile(`wastemeter-session-${stamp}.json`, toSessionJSON(session), "application/json");
+  };
+
+  // Snooze: timed, for the rest of the session, or while the current pattern lasts.
+  // Every snooze is logged (see ./sessionLog.js) so educators can see it.
+  const onSnooze = (option) => {
+    const ts = clock.now();
+    const next =
+      option.mode === "timed"
+        ? { mode: "timed", until: ts + option.minutes * 60 * 1000 }
+        : option.mode === "pattern"
+          ? { mode: "pattern", pattern: ai.pattern.key }
+          : { mode: "session" };
+    setSnooze(next);
+    setSnoozes((S) => startSnooze(S, { mode: next.mode, minutes: option.minutes, pattern: next.pattern, ts }));
+    setSnoozeMenuOpen(false);
+    // Anonymous sessions report no wall-clock times: a timed snooze is just its minutes
+    const { until, ...reported } = next;
+    onSnoozeProp?.({ ...(anonymous ? reported : next), minutes: option.minutes ?? null });
+  };
+  const clearSnooze = (ts = clock.now()) => {
+    if (!snooze) return;
+    setSnooze(null);
+    setSnoozes((S) => endSnooze(S, ts));
+    onSnoozeProp?.(null);
+  };
+
+  // Precise expiry for timed snoozes, plus a 1s re-render for the countdown
+  const [, setCountdownTick] = useState(0);
+  useEffect(() => {
+    if (snooze?.mode !== "timed") return;
+    const expire = setTimeout(() => clearSnooze(snooze.until), Math.max(0, snooze.until - clock.now()));
+    const countdown = setInterval(() => setCountdownTick((n) => n + 1), 1000);
+    return () => {
+      clearTimeout(expire);
+      clearInterval(countdown);
+    };
+  }, [snooze]);
+
+  // A pattern snooze ends as soon as the learner leaves that pattern
+  useEffect(() => {
+    if (snooze?.mode === "pattern" && snooze.pattern !== ai.pattern.key) clearSnooze();
+  }, [ai.pattern.key, snooze]);
+
+  // Privacy: consent from the gate (not stored for anonymous sessions, which are asked
+  // again next time), and deleting everything stored about the learner. Saving is held
+  // off while the delete runs so no tick writes the session back, and the overlay only
+  // forgets the learner once storage is actually empty.
+  const giveConsent = ({ anonymous: anon }) => {
+    const next = { version: CONSENT_VERSION, anonymous: !!anon };
+    setConsent(next);
+    setDeclined(false);
+    if (persist && !next.anonymous) saveConsent(userId, next);
+  };
+  const deleteAllData = async () => {
+    deletingRef.current = true;
+    try {
+      await deleteUserData(userId);
+    } catch {
+      announce(t("privacy.deleteFailed"));
+      return false;
+    } finally {
+      deletingRef.current = false;
+    }
+    clearSession();
+    setPhase("idle");
+    setStartedAt(null);
+    sessionIdRef.current = persist && !anonymous ? newSessionId() : null;
+    setAchievements(emptyAchievements());
+    setConsent(null);
+    setDataOpen(false);
+    announce(t("privacy.deleted"));
+    return true;
+  };
+  // Log times: clock time, or time into the session when anonymous
+  const logTime = (ts) =>
+    anonymous ? `+${formatClock(Math.max(0, Math.round((ts - (startedAt ?? ts)) / 1000)))}` : i18n.formatTime(ts);
+
+  const patternLabel = (p) => t(`pattern.${p.key}`, {}, p.label);
+  const snoozeLabel = !snoozed
+    ? ""
+    : snooze.mode === "timed"
+      ? formatClock(Math.ceil((snooze.until - now) / 1000))
+      : snooze.mode === "pattern"
+        ? patternLabel(ai.pattern)
+        : t("snooze.session");
+
+  // Host API: change callbacks and the imperative handle
+  const lastReported = useRef({ severity: sever, pattern: ai.pattern.key });
+  useEffect(() => {
+    const prev = lastReported.current.severity;
+    lastReported.current.severity = sever;
+    if (sever !== prev) onSeverityChange?.(sever, prev);
+  }, [sever]);
+  useEffect(() => {
+    const prev = lastReported.current.pattern;
+    lastReported.current.pattern = ai.pattern.key;
+    if (ai.pattern.key !== prev) onPatternChange?.(ai.pattern, config.patterns.find((p) => p.key === prev) || null);
+  }, [ai.pattern.key]);
+  const snapshot = () => ({
+    ...shareable(),
+    current: {
+      pattern: ai.pattern.key,
+      secondsInPattern: ai.secondsInPattern,
+      severity: ai.signalLost ? "lost" : sever,
+      snoozed,
+    },
+  });
+  useEffect(() => {
+    if (phase === "ended" && endedAt != null) onSessionEnd?.(snapshot());
+  }, [phase, endedAt]);
+  useImperativeHandle(ref, () => ({
+    start: () => consented && (phase === "ended" ? newSession() : setPhase("running")),
+    pause: () => phase === "running" && setPhase("paused"),
+    reset: newSession,
+    snooze: (option = 1) =>
+      typeof option === "number" ? onSnooze({ mode: "timed", minutes: option }) : onSnooze(option),
+    getSnapshot: snapshot,
+    deleteData: deleteAllData,
+  }));
+
+  // Summary tray rows: segments and snoozes, newest first
+  const logRows = [
+    ...segments,
+    ...snoozes.map((z) => ({
+      label: t("log.snoozed", {
+        detail:
+          z.mode === "timed"
+            ? t("snooze.minutes", { count: z.minutes })
+            : z.mode === "pattern"
+              ? patternName(t, config, z.pattern)
+              : t("snooze.session"),
+      }),
+      pattern: `SNOOZED_${z.mode}`,
+      start: z.start,
+      end: z.end,
+      durationSec: z.end == null ? 0 : Math.round((z.end - z.start) / 1000),
+      peakSeverity: "ok",
+    })),
+  ].sort((a, b) => b.start - a.start);
+
+  // Accessibility label
+  const pct = i18n.formatPercent(wastedPct);
+  const ariaLabel = ai.signalLost
+    ? t("aria.lost", { pct })
+    : escalates(ai.pattern)
+      ? t(ai.pattern.waste ? "aria.waste" : "aria.flagged", {
+          pattern: patternLabel(ai.pattern),
+          duration: i18n.formatDuration(ai.secondsInPattern),
+          pct,
+        })
+      : t("aria.focused", { pct });
+  const [announcement, announce] = useAnnouncer(
+    `${ai.signalLost}|${ai.pattern.key}|${sever}`,
+    ariaLabel,
+    (config.announceMinSec ?? 5) * 1000
+  );
+
+  // Keyboard moves: arrows nudge the widget (Shift for bigger steps), Home/End/
+  // PageUp/PageDown snap it to a corner; it always stays inside the viewport
+  const widgetRef = useRef(null);
+  const handleRef = useRef(null);
+  const moveBy = ({ dx, dy }) => {
+    dragX.set(dragX.get() + dx);
+    dragY.set(dragY.get() + dy);
+    savePosition();
+  };
+  const onHandleKeyDown = (e) => {
+    const rect = widgetRef.current?.getBoundingClientRect();
+    if (!rect || edge) return;
+    const viewport = { width: window.innerWidth, height: window.innerHeight };
+    if (ARROW_DIRECTIONS[e.key]) {
+      const [x, y] = ARROW_DIRECTIONS[e.key];
+      const step = e.shiftKey ? 64 : 16;
+      moveBy(clampMove(rect, x * step, y * step, viewport));
+    } else if (CORNER_KEYS[e.key]) {
+      moveBy(cornerMove(rect, CORNER_KEYS[e.key], viewport));
+      announce(t("a11y.movedTo", { corner: t(`a11y.corner.${CORNER_KEYS[e.key]}`) }));
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+
+  // Dragging stops at the viewport (viewportRef); a saved position, a resize or a
+  // bigger layout moves the widget back inside too
+  const viewportRef = useRef(null);
+  useEffect(() => {
+    if (edge) return;
+    const fit = () => {
+      const rect = widgetRef.current?.getBoundingClientRect();
+      if (!rect) return;
+      const { dx, dy } = clampMove(rect, 0, 0, { width: window.innerWidth, height: window.innerHeight });
+      if (dx || dy) moveBy({ dx, dy });
+    };
+    fit();
+    window.addEventListener("resize", fit);
+    return () => window.removeEventListener("resize", fit);
+  }, [view]);
+
+  // Page-wide shortcuts (config.shortcuts, merged per action over the defaults); each action is
+  // confirmed to screen readers. The listener is attached once and always calls the latest handler.
+  const shortcuts = { ...DEFAULT_CONFIG.shortcuts, ...config.shortcuts };
+  const onShortcutRef = useRef(null);
+  onShortcutRef.current = (e) => {
+    // Page-wide keys stay inert until the learner has agreed to tracking
+    if (!consented) return;
+    if (matchesShortcut(e, shortcuts.mute)) {
+      setMuted(!muted);
+      announce(t(muted ? "a11y.unmuted" : "a11y.muted"));
+    } else if (matchesShortcut(e, shortcuts.snooze)) {
+      if (snoozed) {
+        clearSnooze();
+        announce(t("a11y.unsnoozed"));
+      } else {
+        onSnooze({ mode: "timed", minutes: 5 });
+        announce(t("a11y.snoozed", { duration: i18n.formatDuration(5 * 60) }));
+      }
+    } else if (matchesShortcut(e, shortcuts.pause)) {
+      if (phase === "ended") return;
+      setPhase(running ? "paused" : "running");
+      announce(t(running ? "a11y.paused" : "a11y.resumed"));
+    } else if (matchesShortcut(e, shortcuts.focus)) {
+      handleRef.current?.focus();
+    } else {
+      return;
+    }
+    e.preventDefault();
+  };
+  useEffect(() => {
+    if (replay) return;
+    const onKeyDown = (e) => onShortcutRef.current(e);
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [replay]);
+
+  // Animate helpers
+  const motionOn = !reducedMotion && channels.motion;
+  // Each "shake" alert alternates the keyframes so framer-motion replays them
+  const shake = motionOn && shakeCount > 0;
+  const playLabel = t(running ? "control.pause" : phase === "idle" ? "control.start" : "control.resume");
+  const backOnTrack = recoveredAtSec != null && ai.sessionSec - recoveredAtSec < 4 && !escalates(ai.pattern);
+  const regionMotion = {
+    whileHover: { scale: motionOn ? 1.01 : 1 },
+    animate: shake ? { x: shakeCount % 2 ? [0, -3, 3, -3, 3, 0] : [0, 3, -3, 3, -3, 0] } : { x: 0 },
+    transition: shake ? { duration: 0.4 } : {},
+  };
+
+  return (
+    // `wastemeter-root` scopes the embed builds' CSS resets (see ./embed.css)
+    <I18nContext.Provider value={i18n}>
+      <div className={`wastemeter-root ${look.surface}`} lang={i18n.locale} dir={i18n.dir}>
+        {/* The only live region: throttled pattern/severity changes and action confirmations */}
+        <div role="status" aria-live="polite" aria-atomic="true" className="sr-only">
+          {announcement}
+        </div>
+        {/* Drag bounds: the viewport */}
+        <div ref={viewportRef} aria-hidden="true" className="fixed inset-0 pointer-events-none" />
+        {/* Floating draggable overlay (outer layer drags, inner layer shakes); the edge bar is docked */}
+        <motion.div
+          key={edge ? "edge" : "floating"}
+          ref={widgetRef}
+          className={
+            edge
+              ? "fixed top-0 inset-x-0 z-50"
+              : `fixed bottom-6 start-6 z-50 ${view === "pill" ? "w-max" : "w-[360px]"}`
+          }
+          style={edge ? undefined : { x: dragX, y: dragY }}
+          drag={dragEnabled && !edge}
+          dragMomentum={!reducedMotion}
+          dragElastic={0.2}
+          dragConstraints={viewportRef}
+          onDragEnd={savePosition}
+          onDragTransitionEnd={savePosition}
+        >
+          {view === "pill" ? (
+            <motion.div
+              role="region"
+              aria-label={t("a11y.region")}
+              className={`select-none ${theme.bg} backdrop-blur-xl text-ink ${theme.ring ?? "ring-2"} ${theme.border} ${theme.glow} rounded-full shadow-xl flex items-center gap-1 p-1 pe-2`}
+              {...regionMotion}
+            >
+              <div className="relative" title={t(ring.label)}>
+                <ProgressRing
+                  size={44}
+                  stroke={6}
+                  progress={progressForRing}
+                  trackClass={theme.track}
+                  barClass={`${theme.bar} transition-[stroke-dasharray] duration-500 ease-out`}
+                />
+                <div className="absolute inset-0 grid place-items-center text-[11px] font-bold tabular-nums">
+                  {i18n.formatPercent(ringPct)}
+                </div>
+              </div>
+              <button
+                ref={handleRef}
+                title={t("overlay.expand")}
+                aria-keyshortcuts={ariaShortcut(shortcuts.focus)}
+                onClick={() => setCollapsed(false)}
+                onKeyDown={onHandleKeyDown}
+                className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+              >
+                <Maximize2 className="w-4 h-4" />
+              </button>
+            </motion.div>
+          ) : (
+            <motion.div
+              role="region"
+              aria-label={t("a11y.region")}
+              className={`select-none ${theme.bg} backdrop-blur-xl text-ink ${theme.ring ?? "ring-2"} ${theme.border} ${theme.glow} shadow-xl ${
+                edge ? "rounded-b-2xl flex flex-wrap items-center" : "rounded-2xl"
+              }`}
+              {...regionMotion}
+            >
+              {/* Header */}
+              <div className={`flex items-center justify-between px-4 ${edge ? "py-2 order-last ms-auto" : "pt-3"}`}>
+                <div className="flex items-center gap-2">
+                  <Brain className="w-5 h-5 opacity-90" />
+                  <span className="font-semibold tracking-wide">Wastemeter v1</span>
+                  <span className="text-ink/70 text-xs ms-2">
+                    {t(replay ? "overlay.subtitleReplay" : "overlay.subtitle")}
+                  </span>
+                </div>
+                <div className="flex items-center gap-1">
+                  {!!config.targetSessionSec && (
+                    <span className="text-xs tabular-nums text-ink/80 me-1" title={t("overlay.timeRemaining")}>
+                      {formatClock(remainingSec)}
+                    </span>
+                  )}
+                  {!replay && (
+                    <>
+                      <input
+                        type="range"
+                        min="0"
+                        max="1"
+                        step="0.05"
+                        value={volume}
+                        onChange={(e) => setVolume(Number(e.target.value))}
+                        onPointerDown={(e) => e.stopPropagation()} // don't start a drag
+                        aria-label={t("overlay.volume")}
+                        title={t("overlay.volumeValue", { pct: i18n.formatPercent(Math.round(volume * 100)) })}
+                        className="w-14 accent-ink"
+                      />
+                      <button
+                        title={t("overlay.testSound")}
+                        onClick={() => feedback.test(escalates(ai.pattern) && sever !== "ok" ? sever : "warn")}
+                        className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                      >
+                        <BellRing className="w-5 h-5" />
+                      </button>
+                    </>
+                  )}
+                  <button
+                    title={t(muted ? "overlay.unmute" : "overlay.mute")}
+                    aria-keyshortcuts={ariaShortcut(shortcuts.mute)}
+                    onClick={() => setMuted((m) => !m)}
+                    className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                  >
+                    {muted ? <VolumeX className="w-5 h-5" /> : <Volume2 className="w-5 h-5" />}
+                  </button>
+                  {!replay && (
+                    <button
+                      title={t("overlay.goals")}
+                      onClick={() => setRewardsOpen(true)}
+                      className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      <Trophy className="w-5 h-5" />
+                    </button>
+                  )}
+                  {!replay && (
+                    <button
+                      title={t("overlay.settings")}
+                      onClick={() => setSettingsOpen(true)}
+                      className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      <SettingsIcon className="w-5 h-5" />
+                    </button>
+                  )}
+                  {!replay && consented && !settings.showTray && (
+                    <button
+                      title={t("overlay.showSummary")}
+                      onClick={() => changeSettings({ ...settings, showTray: true })}
+                      className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      <PanelBottomOpen className="w-5 h-5" />
+                    </button>
+                  )}
+                  {consented && (
+                    <button
+                      ref={edge ? handleRef : undefined}
+                      title={t("overlay.minimize")}
+                      aria-keyshortcuts={edge ? ariaShortcut(shortcuts.focus) : undefined}
+                      onClick={() => setCollapsed(true)}
+                      className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      <Minimize2 className="w-5 h-5" />
+                    </button>
+                  )}
+                  {!edge && (
+                    <>
+                      <button
+                        ref={handleRef}
+                        title={t(dragEnabled ? "overlay.lock" : "overlay.unlock")}
+                        aria-label={t("a11y.move")}
+                        aria-describedby="wm-move-hint"
+                        aria-pressed={!dragEnabled}
+                        aria-keyshortcuts={ariaShortcut(shortcuts.focus)}
+                        onClick={() => setDragEnabled((d) => !d)}
+                        onKeyDown={onHandleKeyDown}
+                        className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                      >
+                        <GripVertical className="w-5 h-5" />
+                      </button>
+                      <span id="wm-move-hint" className="sr-only">
+                        {t("a11y.moveHint")}
+                      </span>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {!consented && (
+                <ConsentGate
+                  privacy={privacy}
+                  persist={persist}
+                  declined={declined}
+                  onAccept={giveConsent}
+                  onDecline={() => setDeclined(true)}
+                  onReview={() => setDeclined(false)}
+                />
+              )}
+
+              {/* Body */}
+              <div className={edge ? "px-4 py-2 flex-1 min-w-0" : "px-4 pb-4 pt-2"} hidden={!consented}>
+                <div className={`flex gap-4 ${edge ? "items-center" : ""}`}>
+                  {/* Progress Ring */}
+                  <div className="relative" title={edge ? t(ring.label) : undefined}>
+                    <ProgressRing
+                      size={edge ? 56 : 96}
+                      stroke={edge ? 7 : 12}
+                      progress={progressForRing}
+                      trackClass={theme.track}
+                      barClass={`${theme.bar} transition-[stroke-dasharray] duration-500 ease-out`}
+                    />
+                    <div className="absolute inset-0 grid place-items-center">
+                      <div className="text-center">
+                        <div className={`${edge ? "text-sm" : "text-2xl"} font-bold tabular-nums`}>
+                          {i18n.formatPercent(ringPct)}
+                        </div>
+                        {!edge && (
+                          <div className="text-[10px] uppercase tracking-wider text-ink/80">{t(ring.label)}</div>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+
+                  {/* Details */}
+                  <div className="flex-1 min-w-0">
+                    <div className="flex items-center gap-2">
+                      <Bell className="w-4 h-4" />
+                      <div className="text-sm opacity-90">{t("overlay.currentBehavior")}</div>
+                    </div>
+                    <div className="mt-0.5 text-lg font-semibold truncate">
+                      {ai.signalLost
+                        ? t(ai.status === "reconnecting" ? "overlay.reconnecting" : "overlay.signalLost")
+                        : patternLabel(ai.pattern)}
+                    </div>
+                    <div className="mt-1 flex items-center gap-2 text-ink/85">
+                      <TimerIcon className="w-4 h-4" />
+                      <span className="text-sm">
+                        {t("overlay.duration", { duration: i18n.formatDuration(ai.secondsInPattern, "narrow") })}
+                      </span>
+                      <span className="mx-1">•</span>
+                      <span className="text-sm">
+                        {t(
+                          phase === "paused"
+                            ? "overlay.sessionPaused"
+                            : phase === "ended"
+                              ? "overlay.sessionEnded"
+                              : "overlay.session",
+                          { duration: i18n.formatDuration(ai.sessionSec, "narrow") }
+                        )}
+                      </span>
+                    </div>
+
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      <SeverityBadge severity={ai.signalLost ? "lost" : sever} palette={look.palette} />
+                      {!replay && (
+                        <>
+                          {!snoozed ? (
+                            <div className="relative">
+                              <button
+                                onClick={() => setSnoozeMenuOpen((o) => !o)}
+                                className={pillBtn}
+                                aria-haspopup="menu"
+                                aria-expanded={snoozeMenuOpen}
+                                aria-keyshortcuts={ariaShortcut(shortcuts.snooze)}
+                              >
+                                <BellOff className="w-3.5 h-3.5" />
+                                {t("snooze.button")}
+                              </button>
+                              {snoozeMenuOpen && (
+                                <div
+                                  role="menu"
+                                  className="absolute bottom-full start-0 mb-1 z-10 w-40 rounded-xl bg-surface/95 text-ink border border-ink/10 shadow-xl p-1"
+                                >
+                                  {SNOOZE_OPTIONS.map((option) => (
+                                    <button
+                                      key={option.mode + (option.minutes ?? "")}
+                                      role="menuitem"
+                                      onClick={() => onSnooze(option)}
+                                      disabled={option.mode === "pattern" && !escalates(ai.pattern)}
+                                      className="block w-full text-start text-xs px-2 py-1.5 rounded-lg hover:bg-ink/10 disabled:opacity-40 disabled:hover:bg-transparent"
+                                    >
+                                      {option.mode === "pattern"
+                                        ? t("snooze.whilePattern", {
+                                            pattern: patternLabel(ai.pattern).toLocaleLowerCase(i18n.locale),
+                                          })
+                                        : option.mode === "timed"
+                                          ? t("snooze.minutes", { count: option.minutes })
+                                          : t("snooze.untilEnd")}
+                                    </button>
+                                  ))}
+                                </div>
+                              )}
+                            </div>
+                          ) : (
+                            <>
+                              <div
+                                className="text-xs px-2 py-1 rounded-lg bg-ink/10 tabular-nums"
+                                title={t("snooze.snoozedTitle")}
+                              >
+                                {t("snooze.snoozed", { label: snoozeLabel })}
+                              </div>
+                              <button
+                                onClick={() => clearSnooze()}
+                                className={pillBtn}
+                                aria-label={t("snooze.unsnoozeAria")}
+                                aria-keyshortcuts={ariaShortcut(shortcuts.snooze)}
+                              >
+                                <BellRing className="w-3.5 h-3.5" />
+                                {t("snooze.unsnooze")}
+                              </button>
+                            </>
+                          )}
+                          {phase === "ended" ? (
+                            <>
+                              <button onClick={() => setReportOpen(true)} className={pillBtn}>
+                                <FileText className="w-3.5 h-3.5" />
+                                {t("control.report")}
+                              </button>
+                              <button onClick={newSession} className={pillBtn}>
+                                <RotateCcw className="w-3.5 h-3.5" />
+                                {t("control.newSession")}
+                              </button>
+                            </>
+                          ) : (
+                            <>
+                              <button
+                                onClick={() => setPhase(running ? "paused" : "running")}
+                                className={pillBtn}
+                                aria-label={playLabel}
+                                aria-keyshortcuts={ariaShortcut(shortcuts.pause)}
+                              >
+                                {running ? <Pause className="w-3.5 h-3.5" /> : <Play className="w-3.5 h-3.5" />}
+                                {playLabel}
+                              </button>
+                              {phase !== "idle" && (
+                                <button onClick={endSession} className={pillBtn} aria-label={t("control.endSession")}>
+                                  <Square className="w-3.5 h-3.5" />
+                                  {t("control.end")}
+                                </button>
+                              )}
+                            </>
+                          )}
+                        </>
+                      )}
+                    </div>
+
+                    {goalStatus && (
+                      <div className="mt-2" title={t("goal.title")}>
+                        <div className="flex items-center justify-between text-xs text-ink/85">
+                          <span className="truncate">{t("goal.current", { goal: goalLabel(goal) })}</span>
+                          <span className="tabular-nums">{goalDetail(goal, goalStatus.value)}</span>
+                        </div>
+                        <div
+                          className="mt-1 h-1.5 rounded-full bg-ink/15 overflow-hidden"
+                          role="progressbar"
+                          aria-label={t("goal.progress")}
+                          aria-valuemin={0}
+                          aria-valuemax={100}
+                          aria-valuenow={Math.round(goalStatus.progress * 100)}
+                        >
+                          <div
+                            className={`h-full rounded-full ${goalStatus.met ? "bg-emerald-300" : "bg-ink/70"}`}
+                            style={{ width: `${goalStatus.progress * 100}%` }}
+                          />
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Nudges */}
+                    <AnimatePresence mode="popLayout">
+                      {running && !snoozed && !ai.signalLost && escalates(ai.pattern) && (
+                        <motion.div
+                          key={sever}
+                          initial={{ opacity: 0, y: 6 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          exit={{ opacity: 0, y: -6 }}
+                          transition={{ duration: motionOn ? 0.2 : 0 }}
+                          className={`mt-2 text-sm ${sever === "mild" ? "text-ink/90" : "text-ink"}`}
+                        >
+                          {t(`nudge.${sever}`)}
+                        </motion.div>
+                      )}
+                      {running && !snoozed && !ai.signalLost && backOnTrack && (
+                        <motion.div
+                          key="recovered"
+                          initial={{ opacity: 0, y: 6 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          exit={{ opacity: 0, y: -6 }}
+                          transition={{ duration: motionOn ? 0.2 : 0 }}
+                          className="mt-2 text-sm text-ink/90"
+                        >
+                          {t("nudge.recovered")}
+                        </motion.div>
+                      )}
+                      {running && showBadgeToast && (
+                        <motion.div
+                          key={`badge-${badgeToast.badge.id}`}
+                          initial={{ opacity: 0, y: 6 }}
+                          animate={{ opacity: 1, y: 0 }}
+                          exit={{ opacity: 0, y: -6 }}
+                          transition={{ duration: motionOn ? 0.2 : 0 }}
+                          className="mt-2 flex items-center gap-1 text-sm text-ink"
+                        >
+                          <Award className="w-4 h-4" />
+                          {t("nudge.badge", { badge: t(`badge.${badgeToast.badge.id}`) })}
+                        </motion.div>
+                      )}
+                    </AnimatePresence>
+                  </div>
+                </div>
+              </div>
+            </motion.div>
+          )}
+        </motion.div>
+
+        {!replay && (
+          <>
+            {/* Mini session summary tray (bottom-right) */}
+            <motion.div
+              hidden={!consented || !settings.showTray}
+              className="fixed bottom-6 end-6 z-40 max-w-md w-[380px] bg-surface/85 text-ink rounded-2xl border border-ink/10 shadow-2xl backdrop-blur-xl"
+              initial={{ opacity: 0, y: 10 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <div className="px-4 pt-3 pb-2 flex items-center justify-between">
+                <div className="font-semibold">{t("tray.title")}</div>
+                <div className="flex items-center gap-1">
+                  <div className="text-xs text-ink/60">
+                    {t("tray.totals", {
+                      wasted: i18n.formatDuration(ai.wastedSec, "narrow"),
+                      total: i18n.formatDuration(ai.sessionSec, "narrow"),
+                    })}
+                  </div>
+                  <button
+                    onClick={() => changeSettings({ ...settings, showTray: false })}
+                    aria-label={t("tray.hide")}
+                    title={t("tray.hide")}
+                    className="p-1 rounded-lg hover:bg-ink/10 focus:outline-none focus:ring-2 focus:ring-ink/40"
+                  >
+                    <X className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+              <div className="px-4 pb-2 flex items-center gap-2">
+                {["json", "csv"].map((format) => (
+                  <button
+                    key={format}
+                    onClick={() => exportSession(format)}
+                    className="text-xs px-2 py-1 rounded-lg bg-ink/10 hover:bg-ink/15 transition focus:outline-none focus:ring-2 focus:ring-ink/40 flex items-center gap-1"
+                    aria-label={t("tray.export", { format: format.toUpperCase() })}
+                  >
+                    <Download className="w-3.5 h-3.5" />
+                    {format.toUpperCase()}
+                  </button>
+                ))}
+                <div className="ms-auto flex items-center gap-2">
+                  {persist && !anonymous && (
+                    <button
+                      onClick={() => setHistoryOpen(true)}
+                      className="text-xs px-2 py-1 rounded-lg bg-ink/10 hover:bg-ink/15 transition focus:outline-none focus:ring-2 focus:ring-ink/40 flex items-center gap-1"
+                    >
+                      <History className="w-3.5 h-3.5" />
+                      {t("tray.history")}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => setDataOpen(true)}
+                    className="text-xs px-2 py-1 rounded-lg bg-ink/10 hover:bg-ink/15 transition focus:outline-none focus:ring-2 focus:ring-ink/40 flex items-center gap-1"
+                  >
+                    <ShieldCheck className="w-3.5 h-3.5" />
+                    {t("tray.myData")}
+                  </button>
+                </div>
+              </div>
+              <div className="px-4 pb-2 flex items-center gap-1" role="tablist">
+                {["log", "trends"].map((tab) => (
+                  <button
+                    key={tab}
+                    role="tab"
+                    aria-selected={trayTab === tab}
+                    onClick={() => setTrayTab(tab)}
+                    className={`text-xs px-2 py-0.5 rounded-md ${trayTab === tab ? "bg-ink/15" : "text-ink/60 hover:bg-ink/10"}`}
+                  >
+                    {t(`tray.${tab}`)}
+                  </button>
+                ))}
+              </div>
+              {trayTab === "trends" ? (
+                <TrendsPanel trends={trends} segments={segments} config={config} />
+              ) : (
+                <div className="max-h-48 overflow-auto px-2 pb-2">
+                  <table className="w-full text-xs">
+                    <thead className="text-ink/60 sticky top-0 bg-surface/90">
+                      <tr>
+                        <th className="text-start font-medium py-1 ps-2">{t("column.time")}</th>
+                        <th className="text-start font-medium py-1">{t("column.pattern")}</th>
+                        <th className="text-start font-medium py-1">{t("column.peak")}</th>
+                        <th className="text-end font-medium py-1 pe-2">{t("column.duration")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {logRows.map((seg) => (
+                        <tr key={seg.start + seg.pattern} className="odd:bg-ink/0 even:bg-ink/5">
+                          <td className="py-1 ps-2 align-top">{logTime(seg.start)}</td>
+                          <td className="py-1 align-top">{seg.label ?? patternName(t, config, seg.pattern)}</td>
+                          <td className="py-1 align-top text-ink/70">
+                            {seg.peakSeverity !== "ok" ? t(`severity.${seg.peakSeverity}`) : "—"}
+                          </td>
+                          <td className="py-1 pe-2 text-end align-top tabular-nums">
+                            {seg.end == null ? "…" : formatClock(seg.durationSec)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+            </motion.div>
+
+            <SessionReport
+              open={reportOpen}
+              ai={ai}
+              config={config}
+              segments={segments}
+              peakSeverity={peakSever}
+              palette={look.palette}
+              escalations={escalations}
+              goalResult={goalResult}
+              goalLabel={goalLabel}
+              goalDetail={goalDetail}
+              badges={rewards.enabled ? sessionBadges : []}
+              onClose={() => setReportOpen(false)}
+              onNewSession={newSession}
+            />
+
+            <SessionHistory open={historyOpen} userId={userId} onClose={() => setHistoryOpen(false)} />
+
+            <RecordedDataPanel
+              open={dataOpen}
+              rows={logRows}
+              config={config}
+              logTime={logTime}
+              anonymous={anonymous}
+              userId={persist && !anonymous ? userId : null}
+              retentionDays={privacy.retentionDays}
+              onDeleteAll={deleteAllData}
+              onClose={() => setDataOpen(false)}
+            />
+
+            <SettingsPanel
+              open={settingsOpen}
+              config={baseConfig}
+              settings={settings}
+              defaults={defaultSettings}
+              onChange={changeSettings}
+              onTestSound={feedback.test}
+              shortcuts={shortcuts}
+              onClose={() => setSettingsOpen(false)}
+            />
+
+            <RewardsPanel
+              open={rewardsOpen}
+              rewards={rewards}
+              achievements={achievements}
+              onChange={setRewards}
+              onClose={() => setRewardsOpen(false)}
+            />
+          </>
+        )}
+      </div>
+    </I18nContext.Provider>
+  );
+});
+
+// What the overlay ring shows (settings.ringMetric); `label` is a message key, `value` a key of computeTrends()
+const RING_METRICS = {
+  session: { label: "ring.session" },
+  rolling1m: { label: "ring.rolling1m", value: "rate1m" },
+  rolling5m: { label: "ring.rolling5m", value: "rate5m" },
+};
+
+const SNOOZE_OPTIONS = [
+  { mode: "timed", minutes: 1 },
+  { mode: "timed", minutes: 5 },
+  { mode: "timed", minutes: 15 },
+  { mode: "session" },
+  { mode: "pattern" },
+];
+
+const pillBtn =
+  "text-xs px-2 py-1 rounded-lg bg-ink/15 hover:bg-ink/20 transition focus:outline-none focus:ring-2 focus:ring-ink/40 flex items-center gap-1";
+
+/**
+ * End-of-session report (modal)
+ */
+function SessionReport({
+  open,
+  ai,
+  config,
+  segments = [],
+  peakSeverity,
+  palette,
+  escalations,
+  goalResult,
+  goalLabel,
+  goalDetail,
+  badges = [],
+  onClose,
+  onNewSession,
+}) {
+  const { t, ...i18n } = useI18n();
+  const lessonParts = summarizeLessonParts(segments, config);
+  const wastedPct = Math.round((ai.wastedSec / Math.max(1, ai.sessionSec)) * 100);
+  const perPattern = config.patterns
+    .map((p) => ({ ...p, sec: ai.patternSec[p.key] || 0 }))
+    .filter((p) => p.sec > 0)
+    .sort((a, b) => b.sec - a.sec);
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          className="fixed inset-0 z-[60] grid place-items-center bg-black/50 p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <motion.div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="wm-report-title"
+            className="w-full max-w-md bg-surface text-ink rounded-2xl border border-ink/10 shadow-2xl"
+            initial={{ y: 12 }}
+            animate={{ y: 0 }}
+          >
+            <div className="px-5 pt-4 pb-2 flex items-center justify-between">
+              <div id="wm-report-title" className="font-semibold">
+                {t("report.title")}
+              </div>
+              <button onClick={onClose} className="p-1 rounded-lg hover:bg-ink/10" aria-label={t("report.close")}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="px-5 pb-5 text-sm">
+              <div className="grid grid-cols-2 gap-3">
+                <ReportStat label={t("report.totalTime")} value={formatClock(ai.sessionSec)} />
+                <ReportStat
+                  label={t("report.wastedTime")}
+                  value={`${formatClock(ai.wastedSec)} (${i18n.formatPercent(wastedPct)})`}
+                />
+                <ReportStat
+                  label={t("report.longest")}
+                  value={i18n.formatDuration(ai.longestWasteStreakSec, "narrow")}
+                />
+                <ReportStat label={t("report.escalations")} value={i18n.formatNumber(escalations)} />
+              </div>
+              <div className="mt-3 flex items-center gap-2 text-ink/70">
+                {t("report.peak")} <SeverityBadge severity={peakSeverity} palette={palette} />
+              </div>
+              {goalResult && (
+                <div
+                  className={`mt-3 rounded-xl px-3 py-2 flex items-center justify-between ${
+                    goalResult.met ? "bg-emerald-500/20 text-ink" : "bg-ink/5 text-ink/80"
+                  }`}
+                >
+                  <span className="font-semibold">
+                    {t(goalResult.met ? "report.goalMet" : "report.goalMissed", { goal: goalLabel(goalResult.goal) })}
+                  </span>
+                  <span className="text-xs tabular-nums">{goalDetail(goalResult.goal, goalResult.value)}</span>
+                </div>
+              )}
+              {badges.length > 0 && (
+                <div className="mt-3 flex flex-wrap items-center gap-2">
+                  {badges.map((id) => (
+                    <BadgeChip key={id} badge={BADGES.find((b) => b.id === id)} />
+                  ))}
+                </div>
+              )}
+              <table className="mt-3 w-full text-xs">
+                <thead className="text-ink/60">
+                  <tr>
+                    <th className="text-start font-medium py-1">{t("column.pattern")}</th>
+                    <th className="text-end font-medium py-1">{t("column.time")}</th>
+                    <th className="text-end font-medium py-1">{t("column.share")}</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {perPattern.map((p) => (
+                    <tr key={p.key} className="odd:bg-ink/0 even:bg-ink/5">
+                      <td className="py-1">
+                        {t(`pattern.${p.key}`, {}, p.label)}
+                        {p.waste && <span className="ms-1 text-red-300/80">•</span>}
+                      </td>
+                      <td className="py-1 text-end tabular-nums">{formatClock(p.sec)}</td>
+                      <td className="py-1 text-end tabular-nums">
+                        {i18n.formatPercent(Math.round((p.sec / Math.max(1, ai.sessionSec)) * 100))}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+              {lessonParts.length > 0 && (
+                <table className="mt-3 w-full text-xs">
+                  <thead className="text-ink/60">
+                    <tr>
+                      <th className="text-start font-medium py-1">{t("report.lessonPart")}</th>
+                      <th className="text-end font-medium py-1">{t("column.time")}</th>
+                      <th className="text-end font-medium py-1">{t("column.wasted")}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {lessonParts.map((part) => (
+                      <tr key={part.part} className="odd:bg-ink/0 even:bg-ink/5">
+                        <td className="py-1">
+                          {part.videoFromSec != null
+                            ? t("report.videoPart", {
+                                from: formatClock(part.videoFromSec),
+                                to: formatClock(part.videoToSec),
+                              })
+                            : part.section}
+                        </td>
+                        <td className="py-1 text-end tabular-nums">{formatClock(part.totalSec)}</td>
+                        <td className="py-1 text-end tabular-nums">
+                          {formatClock(part.wastedSec)} (
+                          {i18n.formatPercent(Math.round((part.wastedSec / Math.max(1, part.totalSec)) * 100))})
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              <div className="mt-4 flex justify-end">
+                <button
+                  onClick={onNewSession}
+                  className="text-xs px-3 py-1.5 rounded-lg bg-ink/15 hover:bg-ink/20 transition focus:outline-none focus:ring-2 focus:ring-ink/40"
+                >
+                  {t("report.newSession")}
+                </button>
+              </div>
+            </div>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+/**
+ * Past sessions for a user (from IndexedDB), newest first
+ */
+function SessionHistory({ open, userId, onClose }) {
+  const { t, ...i18n } = useI18n();
+  const [records, setRecords] = useState(null);
+  useEffect(() => {
+    if (!open) return;
+    let cancelled = false;
+    listSessionRecords(userId)
+      .then((r) => !cancelled && setRecords(r))
+      .catch(() => !cancelled && setRecords([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, userId]);
+
+  const download = (record) => {
+    const stamp = (record.data.export.session.startedAt || record.data.export.exportedAt).replace(/[:.]/g, "-");
+    downloadFile(`wastemeter-session-${stamp}.json`, toSessionJSON(record.data.export), "application/json");
+  };
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          className="fixed inset-0 z-[60] grid place-items-center bg-black/50 p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="wm-history-title"
+            className="w-full max-w-md bg-surface text-ink rounded-2xl border border-ink/10 shadow-2xl"
+          >
+            <div className="px-5 pt-4 pb-2 flex items-center justify-between">
+              <div id="wm-history-title" className="font-semibold">
+                {t("history.title")}
+              </div>
+              <button onClick={onClose} className="p-1 rounded-lg hover:bg-ink/10" aria-label={t("history.close")}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="max-h-80 overflow-auto px-3 pb-4">
+              {records == null ? (
+                <div className="px-2 py-3 text-sm text-ink/60">{t("history.loading")}</div>
+              ) : records.length === 0 ? (
+                <div className="px-2 py-3 text-sm text-ink/60">{t("history.empty")}</div>
+              ) : (
+                <table className="w-full text-xs">
+                  <thead className="text-ink/60">
+                    <tr>
+                      <th className="text-start font-medium py-1 ps-2">{t("history.started")}</th>
+                      <th className="text-end font-medium py-1">{t("column.duration")}</th>
+                      <th className="text-end font-medium py-1">{t("history.waste")}</th>
+                      <th className="py-1 pe-2" />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {records.map((r) => (
+                      <tr key={r.id} className="odd:bg-ink/0 even:bg-ink/5">
+                        <td className="py-1 ps-2">
+                          {r.summary.startedAt ? i18n.formatDateTime(r.summary.startedAt) : "—"}
+                          {r.status === "active" && <span className="ms-1 text-ink/50">{t("history.inProgress")}</span>}
+                        </td>
+                        <td className="py-1 text-end tabular-nums">{formatClock(r.summary.totalSec)}</td>
+                        <td className="py-1 text-end tabular-nums">{i18n.formatPercent(r.summary.wastedPct)}</td>
+                        <td className="py-1 pe-2 text-end">
+                          {r.data.export && (
+                            <button
+                              onClick={() => download(r)}
+                              className="p-1 rounded hover:bg-ink/10"
+                              aria-label={t("history.download")}
+                            >
+                              <Download className="w-3.5 h-3.5" />
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+/**
+ * Consent gate, shown in place of the overlay body until the learner agrees
+ * (see ./privacy.js). "Not now" keeps tracking off until they review it again.
+ */
+function ConsentGate({ privacy, persist, declined, onAccept, onDecline, onReview }) {
+  const { t } = useI18n();
+  const [anonymous, setAnonymous] = useState(!!privacy.anonymous);
+
+  if (declined) {
+    return (
+      <div className="px-4 pb-4 pt-2 flex items-center justify-between gap-2 text-sm">
+        <span className="text-ink/85">{t("consent.declined")}</span>
+        <button onClick={onReview} className={pillBtn}>
+          {t("consent.review")}
+        </button>
+      </div>
+    );
+  }
+
+  const storage = !persist
+    ? null
+    : anonymous
+      ? t("consent.item.anonymous")
+      : privacy.retentionDays
+        ? t("consent.item.storage", { count: privacy.retentionDays })
+        : t("consent.item.storageKept");
+  return (
+    <div className="px-4 pb-4 pt-2 text-sm" role="group" aria-labelledby="wm-consent-title">
+      <div id="wm-consent-title" className="font-semibold">
+        {t("consent.title")}
+      </div>
+      <p className="mt-1 text-ink/85">{t("consent.body")}</p>
+      <div className="mt-2 text-xs font-medium text-ink/70">{t("consent.recorded")}</div>
+      <ul className="mt-1 list-disc ps-5 space-y-0.5 text-xs text-ink/85">
+        {["patterns", "alerts", "lesson"].map((item) => (
+          <li key={item}>{t(`consent.item.${item}`)}</li>
+        ))}
+        {storage && <li>{storage}</li>}
+      </ul>
+      <label className="mt-2 flex items-center gap-2 text-xs">
+        <input
+          type="checkbox"
+          checked={anonymous}
+          disabled={!!privacy.anonymous}
+          onChange={(e) => setAnonymous(e.target.checked)}
+          className="accent-ink"
+        />
+        {t("consent.anonymous")}
+      </label>
+      <div className="mt-3 flex items-center gap-2">
+        <button
+          onClick={() => onAccept({ anonymous })}
+          className="text-xs px-3 py-1.5 rounded-lg bg-ink text-surface font-medium hover:bg-ink/90 transition focus:outline-none focus:ring-2 focus:ring-ink/40"
+        >
+          {t("consent.accept")}
+        </button>
+        <button onClick={onDecline} className={pillBtn}>
+          {t("consent.decline")}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+/**
+ * "What was recorded about me" (modal): this session's log as it is kept,
+ * what is stored in this browser and for how long, and deleting all of it.
+ * `userId` is null when nothing is stored (anonymous or no persistence).
+ */
+function RecordedDataPanel({ open, rows, config, logTime, anonymous, userId, retentionDays, onDeleteAll, onClose }) {
+  const { t, ...i18n } = useI18n();
+  const [stored, setStored] = useState(null);
+  const [confirming, setConfirming] = useState(false);
+  useEffect(() => {
+    setConfirming(false);
+    if (!open || !userId) return;
+    let cancelled = false;
+    listSessionRecords(userId)
+      .then((r) => !cancelled && setStored(r))
+      .catch(() => !cancelled && setStored([]));
+    return () => {
+      cancelled = true;
+    };
+  }, [open, userId]);
+  const oldest = stored?.length ? stored[stored.length - 1].summary.startedAt : null;
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          className="fixed inset-0 z-[60] grid place-items-center bg-black/50 p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="wm-data-title"
+            className="w-full max-w-md bg-surface text-ink rounded-2xl border border-ink/10 shadow-2xl"
+          >
+            <div className="px-5 pt-4 pb-2 flex items-center justify-between">
+              <div id="wm-data-title" className="font-semibold">
+                {t("privacy.title")}
+              </div>
+              <button onClick={onClose} className="p-1 rounded-lg hover:bg-ink/10" aria-label={t("privacy.close")}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="max-h-[70vh] overflow-auto px-5 pb-4 space-y-4 text-sm">
+              <p className="text-ink/80">{t(anonymous ? "privacy.introAnonymous" : "privacy.intro")}</p>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">
+                  {t("privacy.thisSession", { count: rows.length })}
+                </div>
+                {rows.length === 0 ? (
+                  <div className="text-xs text-ink/60">{t("privacy.nothingYet")}</div>
+                ) : (
+                  <table className="w-full text-xs">
+                    <thead className="text-ink/60">
+                      <tr>
+                        <th className="text-start font-medium py-1 ps-2">{t("column.time")}</th>
+                        <th className="text-start font-medium py-1">{t("column.pattern")}</th>
+                        <th className="text-start font-medium py-1">{t("report.lessonPart")}</th>
+                        <th className="text-end font-medium py-1 pe-2">{t("column.duration")}</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {rows.map((row) => (
+                        <tr key={row.start + row.pattern} className="odd:bg-ink/0 even:bg-ink/5">
+                          <td className="py-1 ps-2 align-top tabular-nums">{logTime(row.start)}</td>
+                          <td className="py-1 align-top">{row.label ?? patternName(t, config, row.pattern)}</td>
+                          <td className="py-1 align-top text-ink/70">
+                            {row.videoFromSec != null
+                              ? t("report.videoPart", {
+                                  from: formatClock(row.videoFromSec),
+                                  to: formatClock(row.videoToSec),
+                                })
+                              : (row.section ?? "—")}
+                          </td>
+                          <td className="py-1 pe-2 text-end align-top tabular-nums">
+                            {row.end == null ? "…" : formatClock(row.durationSec)}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
+              </section>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("privacy.stored")}</div>
+                {!userId ? (
+                  <p className="text-xs text-ink/80">{t("privacy.notStored")}</p>
+                ) : stored == null ? (
+                  <p className="text-xs text-ink/60">{t("history.loading")}</p>
+                ) : (
+                  <ul className="list-disc ps-5 space-y-0.5 text-xs text-ink/80">
+                    <li>
+                      {t("privacy.storedSessions", { count: stored.length })}
+                      {oldest && ` · ${t("privacy.oldest", { date: i18n.formatDateTime(oldest) })}`}
+                    </li>
+                    <li>
+                      {retentionDays ? t("privacy.retention", { count: retentionDays }) : t("privacy.retentionNone")}
+                    </li>
+                    <li>{t("privacy.storedOther")}</li>
+                  </ul>
+                )}
+              </section>
+
+              <div className="flex items-center gap-2">
+                {confirming ? (
+                  <>
+                    <button
+                      onClick={onDeleteAll}
+                      className="text-xs px-2 py-1 rounded-lg bg-red-600 hover:bg-red-500 transition focus:outline-none focus:ring-2 focus:ring-ink/40 flex items-center gap-1"
+                    >
+                      <Trash2 className="w-3.5 h-3.5" />
+                      {t("privacy.confirmDelete")}
+                    </button>
+                    <button onClick={() => setConfirming(false)} className={pillBtn}>
+                      {t("privacy.cancel")}
+                    </button>
+                  </>
+                ) : (
+                  <button onClick={() => setConfirming(true)} className={pillBtn}>
+                    <Trash2 className="w-3.5 h-3.5" />
+                    {t("privacy.deleteAll")}
+                  </button>
+                )}
+              </div>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+/**
+ * Settings panel (modal). Number fields are edited as text and only applied
+ * once the whole set validates, so the session never sees a half-typed value.
+ */
+const THRESHOLD_FIELDS = ["warn", "high", "critical"];
+const toDraft = (settings) => ({
+  tickMs: String(settings.tickMs),
+  ...Object.fromEntries(THRESHOLD_FIELDS.map((k) => [k, String(settings.thresholds[k])])),
+});
+
+const MAX_CLIP_BYTES = 256 * 1024; // clips are stored as data URLs in localStorage
+
+function SettingsPanel({ open, config, settings, defaults, onChange, onTestSound, shortcuts = {}, onClose }) {
+  const { t, formatNumber, formatList } = useI18n();
+  const [draft, setDraft] = useState(() => toDraft(settings));
+  const [presetError, setPresetError] = useState("");
+  useEffect(() => {
+    if (!open) return;
+    setDraft(toDraft(settings));
+    setPresetError("");
+  }, [open]);
+
+  // Blank fields become NaN (not 0) so they fail validation as "not a number"
+  const fromDraft = (d) => ({
+    ...settings,
+    tickMs: d.tickMs.trim() ? Number(d.tickMs) : NaN,
+    thresholds: Object.fromEntries(THRESHOLD_FIELDS.map((k) => [k, d[k].trim() ? Number(d[k]) : NaN])),
+  });
+  const errors = validateSettings(fromDraft(draft));
+  const ownThresholds = config.patterns.filter((p) => p.thresholds).map((p) => t(`pattern.${p.key}`, {}, p.label));
+  // Validation and preset errors carry catalog keys (see ./settings.js); an error
+  // without one is an unreadable file
+  const errorMessage = (err) => {
+    if (!err.key) return t("settings.importFailed");
+    const params = Object.fromEntries(
+      Object.entries(err.params ?? {}).map(([name, value]) => [
+        name,
+        typeof value === "number" ? formatNumber(value) : value?.key ? errorMessage(value) : value,
+      ])
+    );
+    return t(err.key, params);
+  };
+
+  const onNumber = (field, value) => {
+    const next = { ...draft, [field]: value };
+    setDraft(next);
+    const nextSettings = fromDraft(next);
+    if (Object.keys(validateSettings(nextSettings)).length === 0) onChange(nextSettings);
+  };
+  const replaceAll = (next) => {
+    onChange(next);
+    setDraft(toDraft(next));
+  };
+  const onImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      replaceAll(parsePreset(await file.text(), defaults));
+      setPresetError("");
+    } catch (err) {
+      setPresetError(errorMessage(err));
+    }
+  };
+
+  const setSound = (level, patch) =>
+    onChange({ ...settings, sounds: { ...settings.sounds, [level]: { ...settings.sounds[level], ...patch } } });
+  const onClip = (level) => (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_CLIP_BYTES) {
+      setPresetError(t("settings.clipTooLarge", { kb: MAX_CLIP_BYTES / 1024 }));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => {
+      setSound(level, { clip: reader.result });
+      setPresetError("");
+    };
+    reader.readAsDataURL(file);
+  };
+
+  const numberField = (field, label, unit) => (
+    <label key={field} className="block">
+      <span className="text-[10px] uppercase tracking-wider text-ink/60">{label}</span>
+      <div className="mt-1 flex items-center gap-1">
+        <input
+          type="number"
+          min="1"
+          value={draft[field]}
+          onChange={(e) => onNumber(field, e.target.value)}
+          aria-invalid={!!errors[field]}
+          className={`w-full rounded-lg bg-ink/10 px-2 py-1 tabular-nums focus:outline-none focus:ring-2 ${
+            errors[field] ? "ring-2 ring-red-400/80 focus:ring-red-400" : "focus:ring-ink/40"
+          }`}
+        />
+        <span className="text-xs text-ink/50">{unit}</span>
+      </div>
+      {errors[field] && <span className="mt-0.5 block text-[11px] text-red-300">{errorMessage(errors[field])}</span>}
+    </label>
+  );
+
+  const toggle = (checked, onToggle, label, key) => (
+    <label key={key} className="flex items-center gap-2 py-0.5">
+      <input type="checkbox" checked={checked} onChange={onToggle} className="accent-emerald-400" />
+      <span>{label}</span>
+    </label>
+  );
+
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          className="fixed inset-0 z-[60] grid place-items-center bg-black/50 p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="wm-settings-title"
+            className="w-full max-w-md bg-surface text-ink rounded-2xl border border-ink/10 shadow-2xl"
+          >
+            <div className="px-5 pt-4 pb-2 flex items-center justify-between">
+              <div id="wm-settings-title" className="font-semibold">
+                {t("settings.title")}
+              </div>
+              <button onClick={onClose} className="p-1 rounded-lg hover:bg-ink/10" aria-label={t("settings.close")}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="max-h-[70vh] overflow-auto px-5 pb-5 text-sm space-y-4">
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.thresholds")}</div>
+                <div className="grid grid-cols-4 gap-2">
+                  {numberField("warn", t("settings.warn"), t("settings.unit.seconds"))}
+                  {numberField("high", t("settings.high"), t("settings.unit.seconds"))}
+                  {numberField("critical", t("settings.critical"), t("settings.unit.seconds"))}
+                  {numberField("tickMs", t("settings.tickMs"), t("settings.unit.milliseconds"))}
+                </div>
+                {/* Per-pattern thresholds (config.patterns[].thresholds) win over these */}
+                {ownThresholds.length > 0 && (
+                  <p className="mt-1 text-[11px] text-ink/50">
+                    {t("settings.patternThresholds", { patterns: formatList(ownThresholds) })}
+                  </p>
+                )}
+              </section>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.waste")}</div>
+                <div className="grid grid-cols-2 gap-x-3">
+                  {config.patterns.map((p) =>
+                    toggle(
+                      settings.waste[p.key],
+                      () => onChange({ ...settings, waste: { ...settings.waste, [p.key]: !settings.waste[p.key] } }),
+                      t(`pattern.${p.key}`, {}, p.label),
+                      p.key
+                    )
+                  )}
+                </div>
+              </section>
+
+              <section>
+                <label className="flex items-center justify-between gap-2">
+                  <span className="text-xs font-medium text-ink/70">{t("settings.ringMetric")}</span>
+                  <select
+                    value={settings.ringMetric}
+                    onChange={(e) => onChange({ ...settings, ringMetric: e.target.value })}
+                    className="rounded-lg bg-ink/10 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-ink/40"
+                  >
+                    {Object.entries(RING_METRICS).map(([key, m]) => (
+                      <option key={key} value={key} className="bg-surface">
+                        {t(m.label)}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </section>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.channels")}</div>
+                <div className="grid grid-cols-2 gap-x-3">
+                  {FEEDBACK_CHANNELS.map((c) =>
+                    toggle(
+                      settings.channels[c],
+                      () => onChange({ ...settings, channels: { ...settings.channels, [c]: !settings.channels[c] } }),
+                      t(`settings.channel.${c}`),
+                      c
+                    )
+                  )}
+                </div>
+              </section>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.display")}</div>
+                {[
+                  ["themeMode", THEME_MODES],
+                  ["layout", LAYOUTS],
+                ].map(([field, options]) => (
+                  <label key={field} className="flex items-center justify-between gap-2 py-0.5">
+                    <span>{t(`settings.${field}`)}</span>
+                    <select
+                      value={settings[field]}
+                      onChange={(e) => onChange({ ...settings, [field]: e.target.value })}
+                      className="rounded-lg bg-ink/10 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      {options.map((option) => (
+                        <option key={option} value={option} className="bg-surface">
+                          {t(`settings.${field}.${option}`)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                ))}
+                {toggle(
+                  settings.highContrast,
+                  () => onChange({ ...settings, highContrast: !settings.highContrast }),
+                  t("settings.highContrast"),
+                  "highContrast"
+                )}
+                {toggle(
+                  settings.showTray,
+                  () => onChange({ ...settings, showTray: !settings.showTray }),
+                  t("settings.showTray"),
+                  "showTray"
+                )}
+              </section>
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.sounds")}</div>
+                {SOUND_LEVELS.map((level) => (
+                  <div key={level} className="flex items-center gap-2 py-0.5">
+                    <span className="w-16 text-xs uppercase tracking-wider text-ink/70">
+                      {t(`settings.level.${level}`)}
+                    </span>
+                    <input
+                      type="range"
+                      min="0"
+                      max="1"
+                      step="0.05"
+                      value={settings.sounds[level].volume}
+                      onChange={(e) => setSound(level, { volume: Number(e.target.value) })}
+                      aria-label={t("settings.levelVolume", { level: t(`settings.level.${level}`) })}
+                      className="w-24 accent-emerald-400"
+                    />
+                    {settings.sounds[level].clip ? (
+                      <button onClick={() => setSound(level, { clip: null })} className={pillBtn}>
+                        <X className="w-3.5 h-3.5" />
+                        {t("settings.clip")}
+                      </button>
+                    ) : (
+                      <label className={`${pillBtn} cursor-pointer`} title={t("settings.clipTitle")}>
+                        <Upload className="w-3.5 h-3.5" />
+                        {t("settings.clip")}
+                        <input type="file" accept="audio/*" onChange={onClip(level)} className="sr-only" />
+                      </label>
+                    )}
+                    <button
+                      onClick={() => onTestSound(level)}
+                      className="ms-auto p-1 rounded-lg hover:bg-ink/10"
+                      aria-label={t("settings.testLevel", { level: t(`settings.level.${level}`) })}
+                    >
+                      <Play className="w-3.5 h-3.5" />
+                    </button>
+                  </div>
+                ))}
+              </section>
+
+              <section className="flex flex-wrap items-center gap-2">
+                <button
+                  onClick={() => downloadFile("wastemeter-preset.json", toPresetJSON(settings), "application/json")}
+                  className={pillBtn}
+                >
+                  <Download className="w-3.5 h-3.5" />
+                  {t("settings.exportPreset")}
+                </button>
+                <label className={`${pillBtn} cursor-pointer`}>
+                  <Upload className="w-3.5 h-3.5" />
+                  {t("settings.importPreset")}
+                  <input type="file" accept="application/json,.json" onChange={onImport} className="sr-only" />
+                </label>
+                <button onClick={() => replaceAll(defaults)} className={`${pillBtn} ms-auto`}>
+                  <RotateCcw className="w-3.5 h-3.5" />
+                  {t("settings.defaults")}
+                </button>
+              </section>
+              {presetError && <div className="text-xs text-red-300">{presetError}</div>}
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("settings.shortcuts")}</div>
+                <dl className="grid grid-cols-[1fr_auto] gap-x-3 gap-y-0.5 text-xs">
+                  {Object.entries(shortcuts)
+                    .filter(([, keys]) => keys)
+                    .map(([action, keys]) => (
+                      <React.Fragment key={action}>
+                        <dt className="text-ink/70">{t(`shortcut.${action}`)}</dt>
+                        <dd>
+                          <kbd className="rounded bg-ink/10 px-1.5 py-0.5 font-mono">{keys}</kbd>
+                        </dd>
+                      </React.Fragment>
+                    ))}
+                  <dt className="text-ink/70">{t("shortcut.move")}</dt>
+                  <dd>
+                    <kbd className="rounded bg-ink/10 px-1.5 py-0.5 font-mono">← ↑ → ↓</kbd>
+                  </dd>
+                </dl>
+              </section>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+/**
+ * Positive mode: opt in, pick a session goal, and see the badges collected so far
+ */
+function RewardsPanel({ open, rewards, achievements, onChange, onClose }) {
+  const { t, ...i18n } = useI18n();
+  const goal = rewards.goal;
+  const setGoal = (type, target) => {
+    const spec = GOAL_TYPES[type];
+    const value = Number.isFinite(target) ? Math.round(clamp(target, spec.min, spec.max)) : spec.defaultTarget;
+    onChange({ ...rewards, goal: { type, target: value } });
+  };
+  return (
+    <AnimatePresence>
+      {open && (
+        <motion.div
+          className="fixed inset-0 z-[60] grid place-items-center bg-black/50 p-4"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div
+            role="dialog"
+            aria-modal="true"
+            aria-labelledby="wm-rewards-title"
+            className="w-full max-w-md bg-surface text-ink rounded-2xl border border-ink/10 shadow-2xl"
+          >
+            <div className="px-5 pt-4 pb-2 flex items-center justify-between">
+              <div id="wm-rewards-title" className="font-semibold">
+                {t("rewards.title")}
+              </div>
+              <button onClick={onClose} className="p-1 rounded-lg hover:bg-ink/10" aria-label={t("rewards.close")}>
+                <X className="w-4 h-4" />
+              </button>
+            </div>
+            <div className="max-h-[70vh] overflow-auto px-5 pb-5 text-sm space-y-4">
+              <label className="flex items-center gap-2">
+                <input
+                  type="checkbox"
+                  checked={rewards.enabled}
+                  onChange={() => onChange({ ...rewards, enabled: !rewards.enabled })}
+                  className="accent-emerald-400"
+                />
+                <span>{t("rewards.enable")}</span>
+              </label>
+
+              {rewards.enabled && (
+                <section>
+                  <div className="mb-1 text-xs font-medium text-ink/70">{t("goal.title")}</div>
+                  <div className="flex items-center gap-2">
+                    <select
+                      value={goal?.type ?? ""}
+                      onChange={(e) =>
+                        e.target.value
+                          ? setGoal(e.target.value, GOAL_TYPES[e.target.value].defaultTarget)
+                          : onChange({ ...rewards, goal: null })
+                      }
+                      className="rounded-lg bg-ink/10 px-2 py-1 text-xs focus:outline-none focus:ring-2 focus:ring-ink/40"
+                    >
+                      <option value="" className="bg-surface">
+                        {t("rewards.noGoal")}
+                      </option>
+                      {Object.keys(GOAL_TYPES).map((type) => (
+                        <option key={type} value={type} className="bg-surface">
+                          {t(`rewards.${type}`)}
+                        </option>
+                      ))}
+                    </select>
+                    {goal && (
+                      <>
+                        <input
+                          type="number"
+                          min={GOAL_TYPES[goal.type].min}
+                          max={GOAL_TYPES[goal.type].max}
+                          value={goal.target}
+                          onChange={(e) => setGoal(goal.type, e.target.valueAsNumber)}
+                          aria-label={t("rewards.target")}
+                          className="w-20 rounded-lg bg-ink/10 px-2 py-1 tabular-nums focus:outline-none focus:ring-2 focus:ring-ink/40"
+                        />
+                        <span className="text-xs text-ink/50">{t(`rewards.unit.${goal.type}`)}</span>
+                      </>
+                    )}
+                  </div>
+                </section>
+              )}
+
+              <section>
+                <div className="mb-1 text-xs font-medium text-ink/70">{t("rewards.achievements")}</div>
+                <div className="grid grid-cols-3 gap-2">
+                  <TrendStat
+                    label={t("rewards.goalsMet")}
+                    value={`${i18n.formatNumber(achievements.goalsMet)} / ${i18n.formatNumber(achievements.goalsSet)}`}
+                  />
+                  <TrendStat label={t("rewards.bestStreak")} value={formatClock(achievements.bestStreakSec)} />
+                  <TrendStat
+                    label={t("rewards.badges")}
+                    value={i18n.formatNumber(Object.values(achievements.badges).reduce((n, b) => n + b.count, 0))}
+                  />
+                </div>
+                <ul className="mt-2 space-y-1">
+                  {BADGES.map((badge) => {
+                    const earned = achievements.badges[badge.id];
+                    return (
+                      <li key={badge.id} className={`flex items-center gap-2 ${earned ? "" : "opacity-40"}`}>
+                        <BadgeChip badge={badge} />
+                        <span className="text-xs text-ink/60">{t(`badgeInfo.${badge.id}`)}</span>
+                        <span className="ms-auto text-xs tabular-nums">
+                          {earned ? `×${i18n.formatNumber(earned.count)}` : "—"}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              </section>
+            </div>
+          </div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+}
+
+function BadgeChip({ badge }) {
+  const { t } = useI18n();
+  return (
+    <span
+      className="inline-flex items-center gap-1 text-xs px-2 py-0.5 rounded-full bg-amber-400/20 text-ink"
+      title={t(`badgeInfo.${badge.id}`)}
+    >
+      <Award className="w-3.5 h-3.5" />
+      {t(`badge.${badge.id}`)}
+    </span>
+  );
+}
+
+/**
+ * Summary tray "Trends" tab: rolling rates, streaks, refocus time, pattern
+ * frequency, a stacked severity timeline and a pattern-by-minute heatmap
+ */
+function TrendsPanel({ trends, segments, config }) {
+  const { t, ...i18n } = useI18n();
+  return (
+    <div className="max-h-64 overflow-auto px-4 pb-3 text-xs space-y-3">
+      <div className="grid grid-cols-3 gap-2">
+        <TrendStat label={t("trends.rate1m")} value={i18n.formatPercent(trends.rate1m)} />
+        <TrendStat label={t("trends.rate5m")} value={i18n.formatPercent(trends.rate5m)} />
+        <TrendStat
+          label={t("trends.refocus")}
+          value={trends.meanRefocusSec == null ? "—" : i18n.formatDuration(trends.meanRefocusSec, "narrow")}
+        />
+        <TrendStat label={t("trends.streak")} value={formatClock(trends.currentSec)} />
+        <TrendStat label={t("trends.bestStreak")} value={formatClock(trends.bestSec)} />
+        <TrendStat
+          label={t("trends.distractions")}
+          value={i18n.formatNumber(trends.frequency.filter((f) => !f.focused).reduce((n, f) => n + f.episodes, 0))}
+        />
+      </div>
+      <div>
+        <div className="mb-1 text-ink/60">{t("trends.timeline")}</div>
+        <TimelineBar segments={segments} config={config} />
+      </div>
+      <div>
+        <div className="mb-1 text-ink/60">{t("trends.heatmap")}</div>
+        <PatternHeatmap heatmap={trends.heatmap} config={config} />
+      </div>
+      {trends.frequency.length > 0 && (
+        <div className="text-ink/70">
+          {trends.frequency
+            .map((f) => `${patternName(t, config, f.pattern)} ×${i18n.formatNumber(f.episodes)}`)
+            .join(" · ")}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TrendStat({ label, value }) {
+  return (
+    <div className="rounded-lg bg-ink/5 px-2 py-1">
+      <div className="text-[10px] uppercase tracking-wider text-ink/50 truncate">{label}</div>
+      <div className="font-semibold tabular-nums">{value}</div>
+    </div>
+  );
+}
+
+/** Severity colors for timeline bars (the report's timeline and the replay scrubber) */
+const timelineColors = {
+  ok: "bg-emerald-500",
+  mild: "bg-amber-400",
+  warn: "bg-orange-500",
+  high: "bg-red-500",
+  critical: "bg-red-700",
+  lost: "bg-slate-500",
+};
+
+/** Accrued time as one bar, each segment a slice colored by its peak severity */
+function TimelineBar({ segments, config }) {
+  const { t } = useI18n();
+  const slices = segments.filter((seg) => !INTERVAL_PATTERNS.includes(seg.pattern));
+  const total = slices.reduce((n, seg) => n + seg.durationSec, 0);
+  if (total === 0) return <div className="h-3 rounded bg-ink/10" />;
+  return (
+    <div className="flex h-3 w-full overflow-hidden rounded bg-ink/10">
+      {slices.map((seg) => (
+        <div
+          key={seg.start + seg.pattern}
+          className={timelineColors[seg.peakSeverity]}
+          style={{ width: `${(seg.durationSec / total) * 100}%` }}
+          title={`${patternName(t, config, seg.pattern)} · ${formatClock(seg.durationSec)}`}
+        />
+      ))}
+    </div>
+  );
+}
+
+/** Rows = patterns seen, columns = minutes; cell opacity = share of that minute */
+function PatternHeatmap({ heatmap, config }) {
+  const { t, ...i18n } = useI18n();
+  const rows = config.patterns.filter((p) => heatmap.cells[p.key]);
+  if (rows.length === 0) return <div className="text-ink/50">{t("trends.noData")}</div>;
+  return (
+    <div className="space-y-0.5">
+      {rows.map((p) => (
+        <div key={p.key} className="flex items-center gap-1">
+          <div className="w-24 shrink-0 truncate text-ink/70">{patternName(t, config, p.key)}</div>
+          <div className="flex flex-1 gap-px">
+            {heatmap.cells[p.key].map((sec, m) => (
+              <div
+                key={m}
+                className={`h-3 flex-1 rounded-sm ${p.waste ? "bg-red-500" : p.flag ? "bg-amber-400" : "bg-emerald-500"}`}
+                style={{ opacity: sec ? 0.15 + (sec / 60) * 0.85 : 0.05 }}
+                title={t("trends.cell", {
+                  pattern: patternName(t, config, p.key),
+                  minute: i18n.formatNumber(m + 1),
+                  duration: i18n.formatDuration(sec, "narrow"),
+                })}
+              />
+            ))}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function ReportStat({ label, value }) {
+  return (
+    <div className="rounded-xl bg-ink/5 border border-ink/10 px-3 py-2">
+      <div className="text-[10px] uppercase tracking-wider text-ink/60">{label}</div>
+      <div className="text-base font-semibold tabular-nums">{value}</div>
+    </div>
+  );
+}
+
+/** Severity label in the `badge` token of `palette` (a resolved theme palette, see ./theme.js). */
+function SeverityBadge({ severity, palette = PALETTES.dark }) {
+  const { t } = useI18n();
+  const key = palette[severity]?.badge ? severity : "ok";
+  return (
+    <span className={`text-[10px] tracking-widest px-2 py-1 rounded-md ${palette[key].badge}`}>
+      {t(`severity.${key}`)}
+    </span>
+  );
+}
+
+export { WastemeterOverlay, DEFAULT_CONFIG, LessonProvider, useLesson, useLessonSection };
+// Shared with the replay player, the educator dashboard and the demo page (not in ./lib.js)
+export { clamp, formatClock, pillBtn, timelineColors, ProgressRing, SeverityBadge };
@@ -0,0 +1,131 @@
+/**
+ * Trend analytics
+ * ---------------
+ * Derived metrics for the summary tray, computed from the session log (see
+ * ./sessionLog.js) rather than the cumulative counters, so they stay lively
+ * late in a long session. Everything works on the accrued time as runs of
+ * seconds (paused / signal-lost intervals are left out):
+ *   { pattern, sec, waste (0–1 per second), focused }
+ * where `focused` means the pattern does not escalate. Runs are the logged
+ * segments themselves, so the cost grows with the number of segments, not
+ * with the session's length in seconds.
+ */
+
+import { INTERVAL_PATTERNS } from "./sessionLog";
+import { wasteWeight } from "./signalStream";
+
+/** One run per logged segment of accrued time. */
+export function runsFromSegments(segments, config) {
+  const runs = [];
+  for (const seg of segments) {
+    if (INTERVAL_PATTERNS.includes(seg.pattern) || seg.durationSec <= 0) continue;
+    const pattern = config.patterns.find((p) => p.key === seg.pattern);
+    const waste = seg.wasted ? wasteWeight({ waste: true, weight: pattern?.weight }) : 0;
+    runs.push({ pattern: seg.pattern, sec: seg.durationSec, waste, focused: seg.peakSeverity === "ok" });
+  }
+  return runs;
+}
+
+/** Share (0–100) of the last `windowSec` accrued seconds that was wasted. */
+export function rollingWasteRate(runs, windowSec) {
+  let left = windowSec;
+  let wasted = 0;
+  for (let i = runs.length - 1; i >= 0 && left > 0; i--) {
+    const sec = Math.min(left, runs[i].sec);
+    wasted += sec * runs[i].waste;
+    left -= sec;
+  }
+  const counted = windowSec - left;
+  return counted === 0 ? 0 : Math.round((wasted / counted) * 100);
+}
+
+/** Current and longest run of focused seconds. */
+export function focusStreaks(runs) {
+  let currentSec = 0;
+  let bestSec = 0;
+  for (const run of runs) {
+    currentSec = run.focused ? currentSec + run.sec : 0;
+    bestSec = Math.max(bestSec, currentSec);
+  }
+  return { currentSec, bestSec };
+}
+
+/**
+ * Mean seconds from an alert (at accrued second `alertSecs[i]`) until the
+ * learner is focused again; alerts still waiting for a refocus are ignored.
+ * Null when there is nothing to average.
+ */
+export function meanTimeToRefocus(runs, alertSecs) {
+  // Accrued second each run starts at, and the first focused second from each run on
+  const starts = [];
+  let total = 0;
+  for (const run of runs) {
+    starts.push(total);
+    total += run.sec;
+  }
+  const nextFocused = new Array(runs.length);
+  for (let i = runs.length - 1, next = null; i >= 0; i--) {
+    if (runs[i].focused) next = starts[i];
+    nextFocused[i] = next;
+  }
+  const gaps = [];
+  for (const at of alertSecs) {
+    const from = Math.max(0, at - 1);
+    if (from >= total) continue;
+    // Last run starting at or before `from`
+    let lo = 0;
+    let hi = runs.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (starts[mid] <= from) lo = mid;
+      else hi = mid - 1;
+    }
+    const focusedAt = runs[lo].focused ? from : lo + 1 < runs.length ? nextFocused[lo + 1] : null;
+    if (focusedAt != null) gaps.push(focusedAt - (at - 1));
+  }
+  return gaps.length ? Math.round(gaps.reduce((a, b) => a + b, 0) / gaps.length) : null;
+}
+
+/** Episodes (times entered) and total seconds per pattern, most frequent first. */
+export function patternFrequency(runs) {
+  const rows = new Map();
+  runs.forEach((run, i) => {
+    const row = rows.get(run.pattern) || { pattern: run.pattern, focused: run.focused, episodes: 0, sec: 0 };
+    if (i === 0 || runs[i - 1].pattern !== run.pattern) row.episodes += 1;
+    row.sec += run.sec;
+    rows.set(run.pattern, row);
+  });
+  return [...rows.values()].sort((a, b) => b.episodes - a.episodes || b.sec - a.sec);
+}
+
+/** Seconds per pattern per minute of accrued time: { minutes, cells: { [pattern]: number[] } }. */
+export function minuteHeatmap(runs) {
+  const minutes = Math.ceil(runs.reduce((n, run) => n + run.sec, 0) / 60);
+  const cells = {};
+  let at = 0;
+  for (const run of runs) {
+    cells[run.pattern] ??= new Array(minutes).fill(0);
+    // Split the run at minute boundaries
+    for (let left = run.sec; left > 0;) {
+      const sec = Math.min(left, 60 - (at % 60));
+      cells[run.pattern][Math.floor(at / 60)] += sec;
+      at += sec;
+      left -= sec;
+    }
+  }
+  return { minutes, cells };
+}
+
+/** All of the above for the summary tray. */
+export function computeTrends(segments, config, alertSecs = []) {
+  const runs = runsFromSegments(segments, config);
+  return {
+    rate1m: rollingWasteRate(runs, 60),
+    rate5m: rollingWasteRate(runs, 300),
+    ...focusStreaks(runs),
+    focusedSec: runs.reduce((n, run) => n + (run.focused ? run.sec : 0), 0),
+    meanRefocusSec: meanTimeToRefocus(runs, alertSecs),
+    frequency: patternFrequency(runs),
+    heatmap: minuteHeatmap(runs),
+  };
+}
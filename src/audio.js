@@ -0,0 +1,105 @@
+/**
+ * Feedback audio
+ * --------------
+ * One AudioContext for the whole page, created lazily and resumed on the
+ * first user gesture (browsers keep it suspended until then, and throttle
+ * pages that create a context per sound).
+ *
+ * A sound is either a tone sequence or an uploaded clip, each with its own
+ * volume (0–1):
+ *   { tones: [{ freq, ms, type?, gapMs? }, …], volume }
+ *   { clip: "data:audio/…", volume }
+ * A clip that cannot be decoded falls back to the tones.
+ */
+
+let ctx = null;
+const clipBuffers = new Map();
+
+function getContext() {
+  if (ctx) return ctx;
+  if (typeof window === "undefined") return null;
+  const Ctx = window.AudioContext || window.webkitAudioContext;
+  if (!Ctx) return null;
+  try {
+    ctx = new Ctx();
+  } catch {
+    return null;
+  }
+  return ctx;
+}
+
+function resumeContext() {
+  const c = getContext();
+  if (c && c.state === "suspended") c.resume().catch(() => {});
+  return c;
+}
+
+/** Resume the shared context on the next pointer/key gesture. Returns an unsubscribe. */
+export function unlockAudioOnGesture() {
+  if (typeof window === "undefined") return () => {};
+  const events = ["pointerdown", "keydown", "touchstart"];
+  const remove = () => events.forEach((e) => window.removeEventListener(e, unlock, true));
+  const unlock = () => {
+    resumeContext();
+    remove();
+  };
+  events.forEach((e) => window.addEventListener(e, unlock, true));
+  return remove;
+}
+
+function playTones(c, tones = [], volume) {
+  let t = c.currentTime;
+  for (const { freq, ms, type = "sine", gapMs = 30 } of tones) {
+    const o = c.createOscillator();
+    const g = c.createGain();
+    o.connect(g);
+    g.connect(c.destination);
+    o.type = type;
+    o.frequency.value = freq;
+    g.gain.setValueAtTime(0.0001, t);
+    g.gain.exponentialRampToValueAtTime(Math.max(0.0001, 0.25 * volume), t + 0.01);
+    g.gain.exponentialRampToValueAtTime(0.0001, t + ms / 1000);
+    o.start(t);
+    o.stop(t + ms / 1000);
+    t += (ms + gapMs) / 1000;
+  }
+}
+
+function loadClip(c, src) {
+  if (!clipBuffers.has(src)) {
+    clipBuffers.set(
+      src,
+      fetch(src)
+        .then((res) => res.arrayBuffer())
+        .then((data) => c.decodeAudioData(data))
+    );
+  }
+  return clipBuffers.get(src);
+}
+
+/** Play `sound` at its own volume scaled by `masterVolume`. Never throws. */
+export async function playSound(sound, masterVolume = 1) {
+  const volume = Math.max(0, Math.min(1, (sound?.volume ?? 1) * masterVolume));
+  const c = volume > 0 ? resumeContext() : null;
+  if (!c) return;
+  try {
+    if (sound.clip) {
+      const buffer = await loadClip(c, sound.clip);
+      const src = c.createBufferSource();
+      const g = c.createGain();
+      src.buffer = buffer;
+      g.gain.value = volume;
+      src.connect(g);
+      g.connect(c.destination);
+      src.start();
+      return;
+    }
+  } catch {
+    clipBuffers.delete(sound.clip);
+  }
+  try {
+    playTones(c, sound.tones, volume);
+  } catch {
+    // no-op
+  }
+}
@@ -0,0 +1,78 @@
+/**
+ * Clocks
+ * ------
+ * The overlay never calls setInterval or Date.now directly; it subscribes to a
+ * clock and timestamps with `clock.now()`. Listeners receive tick events:
+ *   { ticks: 1 }                 – accrue one tick
+ *   { reset: true, ticks: N }    – start over and fast-forward N ticks (seek)
+ */
+
+/** Wall-clock ticks every `tickMs` while anyone is subscribed. */
+export function createIntervalClock(tickMs) {
+  const listeners = new Set();
+  let timer = null;
+
+  return {
+    kind: "interval",
+    now: () => Date.now(),
+    subscribe(fn) {
+      listeners.add(fn);
+      if (!timer) timer = setInterval(() => listeners.forEach((l) => l({ ticks: 1 })), tickMs);
+      return () => {
+        listeners.delete(fn);
+        if (!listeners.size) {
+          clearInterval(timer);
+          timer = null;
+        }
+      };
+    },
+  };
+}
+
+/**
+ * Deterministic replay clock over a fixed number of ticks.
+ * Time is derived from the position (`startMs + position * tickMs`), so the
+ * same position always yields the same timestamps. `play(speed)` advances
+ * `speed` ticks per `tickMs` of wall time; `seek(tick)` jumps anywhere.
+ */
+export function createReplayClock({ length, tickMs = 1000, startMs = 0 }) {
+  const listeners = new Set();
+  let position = 0;
+  let timer = null;
+  const emit = (e) => listeners.forEach((l) => l(e));
+
+  const pause = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  return {
+    kind: "replay",
+    length,
+    get position() {
+      return position;
+    },
+    get playing() {
+      return timer != null;
+    },
+    now: () => startMs + position * tickMs,
+    subscribe(fn) {
+      listeners.add(fn);
+      return () => listeners.delete(fn);
+    },
+    play(speed = 1) {
+      pause();
+      if (position >= length) return;
+      timer = setInterval(() => {
+        position += 1;
+        if (position >= length) pause();
+        emit({ ticks: 1 });
+      }, tickMs / speed);
+    },
+    pause,
+    seek(tick) {
+      position = Math.max(0, Math.min(length, Math.round(tick)));
+      emit({ reset: true, ticks: position });
+    },
+  };
+}
@@ -0,0 +1,89 @@
+/**
+ * Script-tag bundle
+ * -----------------
+ * Self-contained build (React included) for dropping the overlay onto any
+ * LMS page (`npm run build:lib` → lib/wastemeter.embed.js):
+ *
+ *   <script src="wastemeter.embed.js" data-user-id="learner-42"
+ *           data-signal="wss://classifier.example/ws"></script>
+ *
+ * mounts the overlay on load, in the language of `data-locale` (else the
+ * page's <html lang>, else the browser's), with `data-theme` ("dark", "light",
+ * "auto") and `data-layout` ("card", "pill", "edge") if set. With
+ * `data-auto-mount="false"` nothing is mounted until the page calls
+ * `Wastemeter.mount(options)`; options are the overlay's props plus `target`
+ * (element to render into) and `signal` (URL of a network classifier, or
+ * "browser" for tab/idle/blur activity). `mount` returns the overlay's handle
+ * plus `unmount()`.
+ */
+import React, { createRef } from "react";
+import ReactDOM from "react-dom/client";
+import css from "./embed.css?inline";
+import { DEFAULT_CONFIG, WastemeterOverlay } from "./WastemeterOverlay";
+import { createBrowserActivitySource, createNetworkSource } from "./signalSources";
+
+export { DEFAULT_CONFIG } from "./WastemeterOverlay";
+export {
+  createBrowserActivitySource,
+  createCombinedSource,
+  createNetworkSource,
+  createPushSource,
+  createScriptedSource,
+  createSimulatedSource,
+} from "./signalSources";
+
+function injectStyles() {
+  if (document.getElementById("wastemeter-styles")) return;
+  const style = document.createElement("style");
+  style.id = "wastemeter-styles";
+  style.textContent = css;
+  document.head.appendChild(style);
+}
+
+export function mount({ target, signal, ...props } = {}) {
+  injectStyles();
+  const host = target || document.body.appendChild(document.createElement("div"));
+  const root = ReactDOM.createRoot(host);
+  const ref = createRef();
+  const source =
+    props.source ||
+    (signal === "browser" ? createBrowserActivitySource() : signal ? createNetworkSource({ url: signal }) : undefined);
+  root.render(<WastemeterOverlay ref={ref} {...props} source={source} />);
+  // The handle only exists after React commits, so delegate lazily
+  const call =
+    (name) =>
+    (...args) =>
+      ref.current?.[name](...args);
+  return {
+    start: call("start"),
+    pause: call("pause"),
+    reset: call("reset"),
+    snooze: call("snooze"),
+    getSnapshot: call("getSnapshot"),
+    deleteData: call("deleteData"),
+    unmount() {
+      root.unmount();
+      if (!target) host.remove();
+    },
+  };
+}
+
+// Auto-mount from the <script> tag's data attributes
+const script = typeof document !== "undefined" ? document.currentScript : null;
+if (script && script.dataset.autoMount !== "false") {
+  const { userId, signal, locale, theme, layout } = script.dataset;
+  const config = {
+    ...DEFAULT_CONFIG,
+    theme: { ...DEFAULT_CONFIG.theme, mode: theme || DEFAULT_CONFIG.theme.mode },
+    layout: layout || DEFAULT_CONFIG.layout,
+  };
+  const start = () =>
+    mount({
+      userId: userId || undefined,
+      signal,
+      locale: locale || document.documentElement.lang || undefined,
+      config,
+    });
+  if (document.body) start();
+  else document.addEventListener("DOMContentLoaded", start, { once: true });
+}
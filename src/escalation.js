@@ -0,0 +1,81 @@
+/**
+ * Escalation policy
+ * -----------------
+ * Decides when the overlay alerts, independent of React. Call
+ * `stepEscalation` once per accrued second with the current severity; it
+ * returns the next state and the alerts to deliver now:
+ *   { kind: "escalate" | "repeat" | "recover", level, actions: ["sound", …] }
+ *
+ * Policy (`config.escalation`):
+ *   cooldownSec          minimum seconds between two escalate/repeat alerts
+ *   deescalateAfterSec   severity must stay lower this long before the level
+ *                        drops (hysteresis, so flapping patterns don't re-alert)
+ *   levels[level]        { actions, repeatSec } – what an alert at that level
+ *                        does, and how often to remind while it persists
+ *   recovery             { minDistractionSec, actions } – "back on track" cue
+ *                        when focus resumes after at least that much distraction
+ */
+
+import { SEVERITY_ORDER } from "./severity";
+
+const rank = (level) => SEVERITY_ORDER.indexOf(level);
+
+export function initialEscalationState() {
+  return {
+    level: "ok", // level after hysteresis
+    alertedLevel: "ok", // highest level alerted since the level last dropped
+    lastAlertSec: -Infinity,
+    lowerSinceSec: null,
+    distractedSinceSec: null,
+  };
+}
+
+/**
+ * Advance the policy to `nowSec` (session seconds). `focused` is whether the
+ * current pattern is a non-escalating one (required for the recovery cue).
+ */
+export function stepEscalation(prev, { severity, focused, nowSec }, policy) {
+  const state = { ...prev };
+  const alerts = [];
+
+  // Level with hysteresis: up immediately, down only after deescalateAfterSec
+  if (rank(severity) > rank(state.level)) {
+    state.level = severity;
+    state.lowerSinceSec = null;
+  } else if (rank(severity) < rank(state.level)) {
+    state.lowerSinceSec ??= nowSec;
+    if (nowSec - state.lowerSinceSec >= (policy.deescalateAfterSec ?? 0)) {
+      state.level = severity;
+      state.lowerSinceSec = null;
+      if (rank(state.alertedLevel) > rank(severity)) state.alertedLevel = severity;
+    }
+  } else {
+    state.lowerSinceSec = null;
+  }
+
+  if (state.level !== "ok") {
+    state.distractedSinceSec ??= nowSec;
+  } else if (state.distractedSinceSec != null) {
+    const recovery = policy.recovery;
+    if (recovery && focused && nowSec - state.distractedSinceSec >= (recovery.minDistractionSec ?? 0)) {
+      alerts.push({ kind: "recover", level: "ok", actions: recovery.actions || [] });
+    }
+    state.distractedSinceSec = null;
+  }
+
+  const rule = policy.levels?.[state.level];
+  const cooledDown = nowSec - state.lastAlertSec >= (policy.cooldownSec ?? 0);
+  if (rule && cooledDown) {
+    if (rank(state.level) > rank(state.alertedLevel)) {
+      alerts.push({ kind: "escalate", level: state.level, actions: rule.actions || [] });
+    } else if (rule.repeatSec && nowSec - state.lastAlertSec >= rule.repeatSec) {
+      alerts.push({ kind: "repeat", level: state.level, actions: rule.actions || [] });
+    }
+    if (alerts.some((a) => a.kind !== "recover")) {
+      state.alertedLevel = state.level;
+      state.lastAlertSec = nowSec;
+    }
+  }
+
+  return { state, alerts };
+}
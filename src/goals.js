@@ -0,0 +1,70 @@
+/**
+ * Goals & rewards
+ * ---------------
+ * Opt-in positive feedback. A learner picks a session goal:
+ *   { type: "maxWastePct", target: 10 }      finish under 10% waste
+ *   { type: "focusedMinutes", target: 25 }   reach 25 focused minutes
+ * and earns badges for focus streaks and met goals. Badges add up across
+ * sessions in the per-user achievements record (see ./persistence.js):
+ *   { badges: { [id]: { count, firstAt } }, goalsSet, goalsMet, bestStreakSec }
+ */
+
+// Names and units live in the message catalogs (rewards.<type>, rewards.unit.<type>; see ./i18n.js)
+export const GOAL_TYPES = {
+  maxWastePct: { min: 1, max: 100, defaultTarget: 10 },
+  focusedMinutes: { min: 1, max: 240, defaultTarget: 25 },
+};
+
+// Labels and descriptions live in the message catalogs (badge.<id>, badgeInfo.<id>; see ./i18n.js)
+export const BADGES = [
+  { id: "streak-5", streakSec: 5 * 60 },
+  { id: "streak-10", streakSec: 10 * 60 },
+  { id: "streak-20", streakSec: 20 * 60 },
+  { id: "goal-met" },
+];
+
+/**
+ * Progress towards `goal` given session totals. `progress` is 0–1, `met`
+ * says whether the goal holds right now (for maxWastePct it can still be
+ * lost; at session end it is the result) and `value` is the measured amount
+ * in the goal's unit (waste % or whole focused minutes). A maxWastePct goal
+ * shows full progress while waste is within the target, shrinking as it
+ * goes over.
+ */
+export function evaluateGoal(goal, { sessionSec, wastedSec, focusedSec }) {
+  if (goal.type === "maxWastePct") {
+    const pct = Math.round((wastedSec / Math.max(1, sessionSec)) * 100);
+    return {
+      met: pct <= goal.target,
+      progress: pct <= goal.target ? 1 : goal.target / pct,
+      value: pct,
+    };
+  }
+  const targetSec = goal.target * 60;
+  return {
+    met: focusedSec >= targetSec,
+    progress: Math.min(1, focusedSec / targetSec),
+    value: Math.floor(focusedSec / 60),
+  };
+}
+
+/** Streak badges unlocked by a focus streak of `streakSec`. */
+export const streakBadges = (streakSec) => BADGES.filter((b) => b.streakSec && streakSec >= b.streakSec);
+
+export function emptyAchievements() {
+  return { badges: {}, goalsSet: 0, goalsMet: 0, bestStreakSec: 0 };
+}
+
+/** Fold one finished session into the achievements record. */
+export function recordSession(achievements, { badgeIds, goalSet, goalMet, bestStreakSec, ts }) {
+  const badges = { ...achievements.badges };
+  for (const id of badgeIds) {
+    badges[id] = { count: (badges[id]?.count || 0) + 1, firstAt: badges[id]?.firstAt ?? ts };
+  }
+  return {
+    badges,
+    goalsSet: achievements.goalsSet + (goalSet ? 1 : 0),
+    goalsMet: achievements.goalsMet + (goalMet ? 1 : 0),
+    bestStreakSec: Math.max(achievements.bestStreakSec, bestStreakSec),
+  };
+}
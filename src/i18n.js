@@ -0,0 +1,94 @@
+/**
+ * Internationalization
+ * --------------------
+ * Message catalogs (./locales/*.js) are flat maps of key → message. A
+ * message interpolates `{name}` params and may be a plural set keyed by
+ * Intl.PluralRules category, chosen by `params.count`:
+ *   "snooze.minutes": { one: "{count} minute", other: "{count} minutes" }
+ *
+ * Lookup falls back from the exact locale ("es-MX") to its language ("es")
+ * to English, and finally to the caller's fallback. Host apps pass extra or
+ * overriding catalogs as `{ [locale]: { [key]: message } }`; they win over
+ * the built-in ones.
+ *
+ * Pattern labels come from the config and are their own fallback
+ * (`pattern.<key>`), so the English catalog leaves them out and a host that
+ * renames or adds a pattern sees its own label until a catalog has one.
+ */
+
+import en from "./locales/en";
+import es from "./locales/es";
+import ar from "./locales/ar";
+
+export const DEFAULT_LOCALE = "en";
+export const CATALOGS = { en, es, ar };
+
+const RTL_LANGUAGES = ["ar", "fa", "he", "ps", "ur", "yi"];
+const language = (locale) => String(locale).split("-")[0].toLowerCase();
+
+export const isRtl = (locale) => RTL_LANGUAGES.includes(language(locale));
+
+/** Best available locale for `requested` (exact, then language, then English). */
+export function resolveLocale(requested, available = Object.keys(CATALOGS)) {
+  if (!requested) return DEFAULT_LOCALE;
+  const exact = available.find((l) => l.toLowerCase() === String(requested).toLowerCase());
+  if (exact) return exact;
+  return available.find((l) => language(l) === language(requested)) || DEFAULT_LOCALE;
+}
+
+const interpolate = (message, params) =>
+  message.replace(/\{(\w+)\}/g, (match, name) => (params[name] != null ? String(params[name]) : match));
+
+/**
+ * Translator for `locale` (defaults to the browser language). Returns
+ *   t(key, params?, fallback?)   the message, or `fallback` (itself
+ *                                interpolated), or the key when neither exists
+ *   formatDuration(sec, style?)  "1 minute, 5 seconds" ("long") / "1m 5s" ("narrow")
+ *   formatPercent(pct)           12 → "12%" in the locale's style
+ *   formatList(items)            ["a", "b", "c"] → "a, b and c"
+ *   formatNumber, formatTime, formatDateTime
+ * plus the resolved `locale` and text direction `dir`.
+ */
+export function createI18n({ locale, messages = {} } = {}) {
+  const requested = locale || (typeof navigator !== "undefined" && navigator.language) || DEFAULT_LOCALE;
+  const resolved = resolveLocale(requested, [...new Set([...Object.keys(messages), ...Object.keys(CATALOGS)])]);
+  const chain = [...new Set([resolved, language(resolved), DEFAULT_LOCALE])].flatMap((l) =>
+    [messages[l], CATALOGS[l]].filter(Boolean)
+  );
+  const plurals = new Intl.PluralRules(resolved);
+  const numbers = new Intl.NumberFormat(resolved);
+  const percents = new Intl.NumberFormat(resolved, { style: "percent", maximumFractionDigits: 0 });
+  const lists = new Intl.ListFormat(resolved);
+
+  function t(key, params = {}, fallback) {
+    const found = chain.find((catalog) => catalog[key] != null)?.[key] ?? fallback;
+    if (found == null) return key;
+    const message = typeof found === "object" ? (found[plurals.select(params.count ?? 0)] ?? found.other ?? "") : found;
+    return interpolate(message, params);
+  }
+
+  function formatDuration(sec, style = "long") {
+    const total = Math.max(0, Math.round(sec));
+    const minutes = Math.floor(total / 60);
+    const seconds = total % 60;
+    if (typeof Intl.DurationFormat === "function") {
+      return new Intl.DurationFormat(resolved, { style }).format(minutes ? { minutes, seconds } : { seconds });
+    }
+    const unit = (value, name) =>
+      new Intl.NumberFormat(resolved, { style: "unit", unit: name, unitDisplay: style }).format(value);
+    const parts = [minutes && unit(minutes, "minute"), (seconds || !minutes) && unit(seconds, "second")];
+    return new Intl.ListFormat(resolved, { type: "unit", style }).format(parts.filter(Boolean));
+  }
+
+  return {
+    locale: resolved,
+    dir: isRtl(resolved) ? "rtl" : "ltr",
+    t,
+    formatDuration,
+    formatPercent: (pct) => percents.format(pct / 100),
+    formatList: (items) => lists.format(items),
+    formatNumber: (n) => numbers.format(n),
+    formatTime: (ts) => new Date(ts).toLocaleTimeString(resolved),
+    formatDateTime: (ts) => new Date(ts).toLocaleString(resolved),
+  };
+}
@@ -0,0 +1,72 @@
+/**
+ * Keyboard helpers
+ * ----------------
+ * Shortcuts are written as "+"-joined modifiers (Alt, Ctrl, Meta, Shift)
+ * and a key, e.g. "Alt+Shift+S". Letters and digits match the physical key
+ * (`event.code`), so a shortcut works on any keyboard layout and with Alt on
+ * macOS, where Alt changes the typed character.
+ *
+ * The geometry helpers return the translation that moves the overlay's
+ * bounding rect, so they work whatever corner it is anchored to.
+ */
+
+const clamp = (v, min, max) => Math.max(min, Math.min(max, v));
+
+export function parseShortcut(shortcut) {
+  const parts = String(shortcut).split("+");
+  const key = parts.pop();
+  return {
+    key,
+    alt: parts.includes("Alt"),
+    ctrl: parts.includes("Ctrl"),
+    meta: parts.includes("Meta"),
+    shift: parts.includes("Shift"),
+  };
+}
+
+const codeFor = (key) => (/^[a-z]$/i.test(key) ? `Key${key.toUpperCase()}` : /^\d$/.test(key) ? `Digit${key}` : key);
+
+export function matchesShortcut(event, shortcut) {
+  if (!shortcut) return false;
+  const s = parseShortcut(shortcut);
+  return (
+    event.altKey === s.alt &&
+    event.ctrlKey === s.ctrl &&
+    event.metaKey === s.meta &&
+    event.shiftKey === s.shift &&
+    (event.code === codeFor(s.key) || event.key === s.key)
+  );
+}
+
+/** The shortcut in `aria-keyshortcuts` syntax ("Ctrl" is spelled "Control" there). */
+export const ariaShortcut = (shortcut) => (shortcut ? String(shortcut).replace(/\bCtrl\b/g, "Control") : undefined);
+
+/** Arrow key → unit direction for keyboard moves. */
+export const ARROW_DIRECTIONS = {
+  ArrowUp: [0, -1],
+  ArrowDown: [0, 1],
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+};
+
+/** Home / End / PageUp / PageDown snap to a corner (Home–End on the left, PageUp–PageDown on the right). */
+export const CORNER_KEYS = {
+  Home: "top-left",
+  End: "bottom-left",
+  PageUp: "top-right",
+  PageDown: "bottom-right",
+};
+
+/** Move `rect` by (dx, dy), stopping `margin` px inside the viewport. */
+export function clampMove(rect, dx, dy, viewport, margin = 8) {
+  const left = clamp(rect.left + dx, margin, viewport.width - rect.width - margin);
+  const top = clamp(rect.top + dy, margin, viewport.height - rect.height - margin);
+  return { dx: left - rect.left, dy: top - rect.top };
+}
+
+/** Move `rect` into `corner` ("top-left" …) of the viewport, `margin` px from the edges. */
+export function cornerMove(rect, corner, viewport, margin = 24) {
+  const left = corner.endsWith("left") ? margin : viewport.width - rect.width - margin;
+  const top = corner.startsWith("top") ? margin : viewport.height - rect.height - margin;
+  return { dx: left - rect.left, dy: top - rect.top };
+}
@@ -0,0 +1,49 @@
+/**
+ * Lesson context
+ * --------------
+ * Lets host content tell the Wastemeter where in the lesson the learner is,
+ * so every log segment can be tagged with it (see logTick in ./sessionLog.js):
+ *
+ *   const lesson = createLessonTracker({ videoBucketSec: 30 });
+ *   const unregister = lesson.registerSection("qkv", "Query, Key, Value");
+ *   lesson.enterSection("qkv");      // section scrolled into view / checkpoint reached
+ *   lesson.reportVideoTime(74.2);    // on every timeupdate; null when paused or closed
+ *
+ * `current()` is the tag for the tick being logged:
+ *   { section: label | null, videoFromSec, videoToSec }
+ * where the video range is the `videoBucketSec`-wide bucket the playhead is in
+ * (both null when no video is playing).
+ */
+
+export function createLessonTracker({ videoBucketSec = 30 } = {}) {
+  const sections = new Map();
+  let activeId = null;
+  let videoSec = null;
+
+  return {
+    registerSection(id, label = id) {
+      sections.set(id, { label });
+      return () => {
+        sections.delete(id);
+        if (activeId === id) activeId = null;
+      };
+    },
+    enterSection(id) {
+      if (sections.has(id)) activeId = id;
+    },
+    leaveSection(id) {
+      if (activeId === id) activeId = null;
+    },
+    reportVideoTime(sec) {
+      videoSec = typeof sec === "number" && Number.isFinite(sec) ? Math.max(0, sec) : null;
+    },
+    current() {
+      const from = videoSec == null ? null : Math.floor(videoSec / videoBucketSec) * videoBucketSec;
+      return {
+        section: sections.get(activeId)?.label ?? null,
+        videoFromSec: from,
+        videoToSec: from == null ? null : from + videoBucketSec,
+      };
+    },
+  };
+}
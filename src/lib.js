@@ -0,0 +1,28 @@
+/**
+ * Library entry
+ * -------------
+ * What host applications import (`npm run build:lib` → lib/wastemeter.js,
+ * with React, framer-motion and lucide-react left as peer imports). Styles
+ * are in lib/style.css.
+ */
+import "./embed.css";
+
+export { WastemeterOverlay, DEFAULT_CONFIG, LessonProvider, useLesson, useLessonSection } from "./WastemeterOverlay";
+export { SessionReplay } from "./SessionReplay";
+export { EducatorDashboard, createSimulatedClass } from "./EducatorDashboard";
+export { createLessonTracker } from "./lessonContext";
+export {
+  SIMULATION_PROFILES,
+  createBrowserActivitySource,
+  createCombinedSource,
+  createNetworkSource,
+  createPushSource,
+  createReplaySource,
+  createScriptedSource,
+  createSeededRandom,
+  createSimulatedSource,
+} from "./signalSources";
+export { createIntervalClock, createReplayClock } from "./clock";
+export { parseSession, serializeSession, toSessionCSV, toSessionJSON } from "./sessionExport";
+export { CATALOGS, createI18n, resolveLocale } from "./i18n";
+export { anonymizeSession } from "./privacy";
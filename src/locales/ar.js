@@ -0,0 +1,319 @@
+/**
+ * Arabic catalog (right-to-left)
+ */
+export default {
+  "overlay.subtitle": "متتبع التركيز بالذكاء الاصطناعي",
+  "overlay.subtitleReplay": "إعادة عرض الجلسة",
+  "overlay.timeRemaining": "الوقت المتبقي في الجلسة",
+  "overlay.volume": "مستوى الصوت العام",
+  "overlay.volumeValue": "مستوى الصوت {pct}",
+  "overlay.testSound": "تجربة الصوت",
+  "overlay.mute": "كتم الصوت",
+  "overlay.unmute": "إلغاء الكتم",
+  "overlay.goals": "الأهداف والشارات",
+  "overlay.settings": "الإعدادات",
+  "overlay.lock": "تثبيت الموضع",
+  "overlay.unlock": "إلغاء التثبيت للسحب",
+  "overlay.minimize": "تصغير",
+  "overlay.expand": "توسيع",
+  "overlay.showSummary": "إظهار ملخص الجلسة",
+
+  "ring.session": "هدر الجلسة",
+  "ring.rolling1m": "آخر دقيقة",
+  "ring.rolling5m": "آخر 5 دقائق",
+  "overlay.currentBehavior": "السلوك الحالي",
+  "overlay.signalLost": "فُقدت الإشارة",
+  "overlay.reconnecting": "فُقدت الإشارة · جارٍ إعادة الاتصال…",
+  "overlay.duration": "المدة: {duration}",
+  "overlay.session": "الجلسة: {duration}",
+  "overlay.sessionPaused": "الجلسة: {duration} (متوقفة مؤقتًا)",
+  "overlay.sessionEnded": "الجلسة: {duration} (انتهت)",
+
+  "pattern.FOCUSED": "مركّز",
+  "pattern.SOCIALIZING": "يتحدث مع الآخرين",
+  "pattern.IDLING": "خامل",
+  "pattern.NON_LEARNING_CONTENT": "محتوى غير تعليمي",
+  "pattern.AWAY_FROM_SEAT": "بعيد عن المقعد",
+  "pattern.EATING": "يأكل",
+  "pattern.RUSHING": "مستعجل",
+  "pattern.SKIPPING_RECOMMENDED_LESSON": "يتخطى الدرس",
+  "pattern.CHEATING": "يغش",
+
+  "severity.ok": "مركّز",
+  "severity.mild": "خفيف",
+  "severity.warn": "تنبيه",
+  "severity.high": "مرتفع",
+  "severity.critical": "حرج",
+  "severity.lost": "لا إشارة",
+
+  "control.start": "ابدأ",
+  "control.pause": "إيقاف مؤقت",
+  "control.resume": "استئناف",
+  "control.end": "إنهاء",
+  "control.endSession": "إنهاء الجلسة",
+  "control.report": "التقرير",
+  "control.newSession": "جلسة جديدة",
+
+  "snooze.button": "تأجيل",
+  "snooze.minutes": {
+    zero: "{count} دقيقة",
+    one: "دقيقة واحدة",
+    two: "دقيقتان",
+    few: "{count} دقائق",
+    many: "{count} دقيقة",
+    other: "{count} دقيقة",
+  },
+  "snooze.untilEnd": "حتى نهاية الجلسة",
+  "snooze.whilePattern": "أثناء: {pattern}",
+  "snooze.session": "الجلسة",
+  "snooze.snoozed": "مؤجل · {label}",
+  "snooze.snoozedTitle": "التنبيهات مؤجلة",
+  "snooze.unsnooze": "إلغاء التأجيل",
+  "snooze.unsnoozeAria": "إلغاء تأجيل التنبيهات",
+
+  "nudge.mild": "انتبه — حان وقت العودة إلى التركيز.",
+  "nudge.warn": "بدأ تركيزك يتشتت. عد إلى الدرس.",
+  "nudge.high": "هدر مرتفع — أغلق مصادر التشتيت الآن.",
+  "nudge.critical": "حرج: تشتت طويل. عد إلى التركيز فورًا.",
+  "nudge.recovered": "عدت إلى المسار — أحسنت.",
+  "nudge.badge": "حصلت على شارة: {badge}",
+
+  "aria.lost": "فُقدت الإشارة. هدر الجلسة {pct}.",
+  "aria.waste": "خطر هدر مرتفع: {pattern}. في هذا النمط منذ {duration}. هدر الجلسة {pct}.",
+  "aria.flagged": "سلوك مُعلَّم: {pattern}. في هذا النمط منذ {duration}. هدر الجلسة {pct}.",
+  "aria.focused": "مركّز. هدر الجلسة {pct}.",
+
+  "a11y.region": "لوحة التركيز Wastemeter",
+  "a11y.move": "تحريك اللوحة",
+  "a11y.moveHint":
+    "تحرك مفاتيح الأسهم اللوحة، ومع Shift بخطوات أكبر. تنقلها مفاتيح Home وEnd وPage Up وPage Down إلى زاوية. يبدّل Enter السحب بالفأرة.",
+  "a11y.movedTo": "نُقلت إلى الزاوية {corner}",
+  "a11y.corner.top-left": "العلوية اليسرى",
+  "a11y.corner.top-right": "العلوية اليمنى",
+  "a11y.corner.bottom-left": "السفلية اليسرى",
+  "a11y.corner.bottom-right": "السفلية اليمنى",
+  "a11y.muted": "الأصوات مكتومة",
+  "a11y.unmuted": "الأصوات مفعّلة",
+  "a11y.snoozed": "التنبيهات مؤجلة لمدة {duration}",
+  "a11y.unsnoozed": "عادت التنبيهات",
+  "a11y.paused": "الجلسة متوقفة مؤقتًا",
+  "a11y.resumed": "استؤنفت الجلسة",
+
+  "consent.title": "قبل أن تبدأ",
+  "consent.body":
+    "يرصد Wastemeter أنماطًا مثل الخمول أو التصفح خارج الدرس أثناء هذا الدرس، وينبهك عندما يتشتت تركيزك، ويحتفظ بسجل يمكنك الاطلاع عليه أو حذفه في أي وقت.",
+  "consent.recorded": "ما الذي يُسجَّل",
+  "consent.item.patterns": "النمط الذي أنت فيه، ثانية بثانية",
+  "consent.item.alerts": "متى انطلقت التنبيهات ومتى أجّلتها",
+  "consent.item.lesson": "قسم الدرس وموضع الفيديو في ذلك الوقت",
+  "consent.item.storage": {
+    zero: "تُحفظ الجلسات في هذا المتصفح لمدة {count} يوم",
+    one: "تُحفظ الجلسات في هذا المتصفح لمدة يوم واحد",
+    two: "تُحفظ الجلسات في هذا المتصفح لمدة يومين",
+    few: "تُحفظ الجلسات في هذا المتصفح لمدة {count} أيام",
+    many: "تُحفظ الجلسات في هذا المتصفح لمدة {count} يومًا",
+    other: "تُحفظ الجلسات في هذا المتصفح لمدة {count} يوم",
+  },
+  "consent.item.storageKept": "تُحفظ الجلسات في هذا المتصفح حتى تحذفها",
+  "consent.item.anonymous": "مجهول الهوية: بلا أوقات أو معرّفات، ولا يُحفظ شيء بعد الجلسة",
+  "consent.anonymous": "الوضع المجهول",
+  "consent.accept": "موافق، ابدأ",
+  "consent.decline": "ليس الآن",
+  "consent.declined": "التتبع متوقف. لا يُسجَّل أي شيء.",
+  "consent.review": "مراجعة",
+  "privacy.title": "ما الذي سُجِّل",
+  "privacy.close": "إغلاق البيانات المسجلة",
+  "privacy.intro": "كل ما يحتفظ به Wastemeter عنك في هذا المتصفح.",
+  "privacy.introAnonymous":
+    "هذه الجلسة مجهولة الهوية: تُحفظ الأوقات نسبةً إلى بداية الجلسة فقط، ولا يُحفظ شيء بعد انتهائها.",
+  "privacy.thisSession": {
+    zero: "هذه الجلسة · {count} إدخال",
+    one: "هذه الجلسة · إدخال واحد",
+    two: "هذه الجلسة · إدخالان",
+    few: "هذه الجلسة · {count} إدخالات",
+    many: "هذه الجلسة · {count} إدخالًا",
+    other: "هذه الجلسة · {count} إدخال",
+  },
+  "privacy.nothingYet": "لم يُسجَّل شيء بعد.",
+  "privacy.stored": "محفوظ في هذا المتصفح",
+  "privacy.notStored": "لا يُحفظ شيء من هذه الجلسة في هذا المتصفح.",
+  "privacy.storedSessions": {
+    zero: "{count} جلسة محفوظة",
+    one: "جلسة محفوظة واحدة",
+    two: "جلستان محفوظتان",
+    few: "{count} جلسات محفوظة",
+    many: "{count} جلسة محفوظة",
+    other: "{count} جلسة محفوظة",
+  },
+  "privacy.oldest": "أقدمها من {date}",
+  "privacy.retention": {
+    zero: "تُحذف الجلسات تلقائيًا بعد {count} يوم.",
+    one: "تُحذف الجلسات تلقائيًا بعد يوم واحد.",
+    two: "تُحذف الجلسات تلقائيًا بعد يومين.",
+    few: "تُحذف الجلسات تلقائيًا بعد {count} أيام.",
+    many: "تُحذف الجلسات تلقائيًا بعد {count} يومًا.",
+    other: "تُحذف الجلسات تلقائيًا بعد {count} يوم.",
+  },
+  "privacy.retentionNone": "تُحفظ الجلسات حتى تحذفها.",
+  "privacy.storedOther": "تُحفظ أيضًا إعداداتك وشاراتك واختيارك بشأن الموافقة.",
+  "privacy.deleteAll": "حذف كل بياناتي",
+  "privacy.confirmDelete": "نعم، احذف كل شيء",
+  "privacy.cancel": "إلغاء",
+  "privacy.deleted": "حُذفت كل بياناتك في Wastemeter",
+  "privacy.deleteFailed": "تعذّر حذف بياناتك. يُرجى المحاولة مرة أخرى.",
+
+  "goal.maxWastePct": "هدر أقل من {pct}",
+  "goal.focusedMinutes": {
+    zero: "{count} دقيقة تركيز",
+    one: "دقيقة تركيز واحدة",
+    two: "دقيقتا تركيز",
+    few: "{count} دقائق تركيز",
+    many: "{count} دقيقة تركيز",
+    other: "{count} دقيقة تركيز",
+  },
+  "goal.current": "الهدف: {goal}",
+  "goal.title": "هدف الجلسة",
+  "goal.progress": "التقدم نحو الهدف",
+  "goal.wasted": "هدر {pct}",
+  "goal.focusedOf": "{minutes} / {target} د",
+  "badge.streak-5": "منغمس",
+  "badge.streak-10": "تركيز عميق",
+  "badge.streak-20": "حالة التدفق",
+  "badge.goal-met": "محقق الأهداف",
+  "badgeInfo.streak-5": "5 دقائق تركيز متواصلة",
+  "badgeInfo.streak-10": "10 دقائق تركيز متواصلة",
+  "badgeInfo.streak-20": "20 دقيقة تركيز متواصلة",
+  "badgeInfo.goal-met": "حققت هدف جلسة",
+  "rewards.title": "الأهداف والشارات",
+  "rewards.close": "إغلاق الأهداف",
+  "rewards.enable": "الوضع الإيجابي — حدد هدفًا واكسب الشارات",
+  "rewards.noGoal": "بلا هدف",
+  "rewards.maxWastePct": "إبقاء الهدر أقل من",
+  "rewards.focusedMinutes": "دقائق التركيز",
+  "rewards.unit.maxWastePct": "٪",
+  "rewards.unit.focusedMinutes": "دقيقة",
+  "rewards.target": "قيمة الهدف",
+  "rewards.achievements": "الإنجازات",
+  "rewards.goalsMet": "الأهداف المحققة",
+  "rewards.bestStreak": "أفضل سلسلة",
+  "rewards.badges": "الشارات",
+
+  "tray.title": "ملخص الجلسة (مباشر)",
+  "tray.totals": "المهدر: {wasted} • الإجمالي: {total}",
+  "tray.export": "تصدير الجلسة بصيغة {format}",
+  "tray.history": "الجلسات السابقة",
+  "tray.log": "السجل",
+  "tray.myData": "بياناتي",
+  "tray.trends": "الاتجاهات",
+  "tray.hide": "إخفاء الملخص",
+  "log.snoozed": "مؤجل ({detail})",
+  "interval.PAUSED": "متوقف مؤقتًا",
+  "interval.SIGNAL_LOST": "فُقدت الإشارة",
+  "column.time": "الوقت",
+  "column.pattern": "النمط",
+  "column.peak": "الذروة",
+  "column.duration": "المدة",
+  "column.share": "النسبة",
+  "column.wasted": "المهدر",
+
+  "trends.rate1m": "آخر دقيقة",
+  "trends.rate5m": "آخر 5 دقائق",
+  "trends.refocus": "العودة بعد التنبيه",
+  "trends.streak": "سلسلة التركيز",
+  "trends.bestStreak": "أفضل سلسلة",
+  "trends.distractions": "مرات التشتت",
+  "trends.timeline": "الخط الزمني",
+  "trends.heatmap": "الأنماط لكل دقيقة",
+  "trends.noData": "لا توجد بيانات بعد.",
+  "trends.cell": "{pattern} · الدقيقة {minute}: {duration}",
+
+  "report.title": "تقرير الجلسة",
+  "report.close": "إغلاق التقرير",
+  "report.totalTime": "الوقت الإجمالي",
+  "report.wastedTime": "الوقت المهدر",
+  "report.longest": "أطول تشتت",
+  "report.escalations": "التنبيهات المطلقة",
+  "report.peak": "أعلى شدة",
+  "report.goalMet": "الهدف: {goal} — تحقق",
+  "report.goalMissed": "الهدف: {goal} — لم يتحقق",
+  "report.lessonPart": "جزء الدرس",
+  "report.videoPart": "الفيديو {from}–{to}",
+  "report.newSession": "بدء جلسة جديدة",
+
+  "history.title": "سجل الجلسات",
+  "history.close": "إغلاق السجل",
+  "history.loading": "جارٍ التحميل…",
+  "history.empty": "لا توجد جلسات محفوظة بعد.",
+  "history.started": "البداية",
+  "history.waste": "الهدر",
+  "history.inProgress": "(قيد التقدم)",
+  "history.download": "تنزيل الجلسة بصيغة JSON",
+
+  "replay.title": "إعادة عرض الجلسة",
+  "replay.exit": "الخروج من إعادة العرض",
+  "replay.position": "موضع إعادة العرض",
+  "replay.positionValue": "{position} من {length}",
+  "replay.play": "تشغيل",
+  "replay.pause": "إيقاف مؤقت",
+  "replay.playLabel": "تشغيل إعادة العرض",
+  "replay.pauseLabel": "إيقاف إعادة العرض مؤقتًا",
+  "replay.speed": "{speed}×",
+  "replay.segment": "{severity} · {from}–{to}",
+
+  "settings.title": "الإعدادات",
+  "settings.close": "إغلاق الإعدادات",
+  "settings.thresholds": "الحدود",
+  "settings.patternThresholds": "لها حدود خاصة لا تتغير من هنا: {patterns}",
+  "settings.warn": "تنبيه",
+  "settings.high": "مرتفع",
+  "settings.critical": "حرج",
+  "settings.tickMs": "الفاصل",
+  "settings.unit.seconds": "ث",
+  "settings.unit.milliseconds": "مللي ث",
+  "settings.waste": "يُحتسب وقتًا مهدرًا",
+  "settings.ringMetric": "تعرض الحلقة",
+  "settings.channels": "قنوات التنبيه",
+  "settings.channel.color": "اللون",
+  "settings.channel.motion": "الحركة",
+  "settings.channel.sound": "الصوت",
+  "settings.channel.haptics": "الاهتزاز",
+  "settings.sounds": "الأصوات",
+  "settings.level.mild": "خفيف",
+  "settings.level.warn": "تنبيه",
+  "settings.level.high": "مرتفع",
+  "settings.level.critical": "حرج",
+  "settings.levelVolume": "مستوى صوت {level}",
+  "settings.clip": "مقطع",
+  "settings.clipTitle": "استخدام مقطع صوتي بدل النغمات",
+  "settings.clipTooLarge": "المقطع كبير جدًا (الحد الأقصى {kb} ك.ب)",
+  "settings.testLevel": "تجربة صوت {level}",
+  "settings.exportPreset": "تصدير الإعدادات",
+  "settings.importPreset": "استيراد الإعدادات",
+  "settings.importFailed": "تعذرت قراءة ملف الإعدادات",
+  "settings.error.positive": "يجب أن يكون رقمًا موجبًا",
+  "settings.error.greaterThan": "يجب أن يكون أكبر من {min}",
+  "settings.error.unknownOption": "خيار غير معروف",
+  "settings.error.onOff": "يجب أن يكون مفعّلًا أو معطّلًا",
+  "settings.error.volume": "يجب أن يكون مستوى الصوت بين {min} و{max}",
+  "settings.error.notPreset": "ليس ملف إعدادات Wastemeter",
+  "settings.error.presetVersion": "إصدار إعدادات غير مدعوم: {version}",
+  "settings.error.invalidPreset": "إعدادات غير صالحة: {reason}",
+  "settings.defaults": "الافتراضيات",
+  "settings.display": "العرض",
+  "settings.highContrast": "تباين عالٍ",
+  "settings.themeMode": "المظهر",
+  "settings.themeMode.dark": "داكن",
+  "settings.themeMode.light": "فاتح",
+  "settings.themeMode.auto": "حسب النظام",
+  "settings.layout": "التخطيط",
+  "settings.layout.card": "بطاقة",
+  "settings.layout.pill": "شريحة مدمجة",
+  "settings.layout.edge": "شريط علوي",
+  "settings.showTray": "إظهار ملخص الجلسة",
+  "settings.shortcuts": "اختصارات لوحة المفاتيح",
+  "shortcut.snooze": "تأجيل / إلغاء تأجيل التنبيهات",
+  "shortcut.mute": "كتم / إلغاء كتم الصوت",
+  "shortcut.pause": "إيقاف مؤقت / استئناف",
+  "shortcut.focus": "التركيز على اللوحة",
+  "shortcut.move": "التحريك (عند التركيز على اللوحة)",
+};
@@ -0,0 +1,283 @@
+/**
+ * English catalog (the fallback for every other locale; see ../i18n.js)
+ */
+export default {
+  // Overlay header
+  "overlay.subtitle": "AI Focus Tracker",
+  "overlay.subtitleReplay": "Session Replay",
+  "overlay.timeRemaining": "Time remaining in session",
+  "overlay.volume": "Master volume",
+  "overlay.volumeValue": "Volume {pct}",
+  "overlay.testSound": "Test sound",
+  "overlay.mute": "Mute",
+  "overlay.unmute": "Unmute",
+  "overlay.goals": "Goals & badges",
+  "overlay.settings": "Settings",
+  "overlay.lock": "Lock position",
+  "overlay.unlock": "Unlock to drag",
+  "overlay.minimize": "Minimize",
+  "overlay.expand": "Expand",
+  "overlay.showSummary": "Show session summary",
+
+  // Overlay body
+  "ring.session": "Session Waste",
+  "ring.rolling1m": "Last 1 min",
+  "ring.rolling5m": "Last 5 min",
+  "overlay.currentBehavior": "Current Behavior",
+  "overlay.signalLost": "Signal lost",
+  "overlay.reconnecting": "Signal lost · reconnecting…",
+  "overlay.duration": "Duration: {duration}",
+  "overlay.session": "Session: {duration}",
+  "overlay.sessionPaused": "Session: {duration} (paused)",
+  "overlay.sessionEnded": "Session: {duration} (ended)",
+
+  "severity.ok": "FOCUSED",
+  "severity.mild": "MILD",
+  "severity.warn": "WARN",
+  "severity.high": "HIGH",
+  "severity.critical": "CRITICAL",
+  "severity.lost": "NO SIGNAL",
+
+  "control.start": "Start",
+  "control.pause": "Pause",
+  "control.resume": "Resume",
+  "control.end": "End",
+  "control.endSession": "End session",
+  "control.report": "Report",
+  "control.newSession": "New session",
+
+  "snooze.button": "Snooze",
+  "snooze.minutes": { one: "{count} minute", other: "{count} minutes" },
+  "snooze.untilEnd": "Until session ends",
+  "snooze.whilePattern": "While {pattern}",
+  "snooze.session": "session",
+  "snooze.snoozed": "Snoozed · {label}",
+  "snooze.snoozedTitle": "Alerts snoozed",
+  "snooze.unsnooze": "Unsnooze",
+  "snooze.unsnoozeAria": "Unsnooze alerts",
+
+  "nudge.mild": "Heads up — time to refocus.",
+  "nudge.warn": "You're drifting. Eyes back on the lesson.",
+  "nudge.high": "High waste detected — close distractions now.",
+  "nudge.critical": "Critical: Prolonged distraction. Refocus immediately.",
+  "nudge.recovered": "Back on track — nice refocus.",
+  "nudge.badge": "Badge earned: {badge}",
+
+  "aria.lost": "Signal lost. Session waste {pct}.",
+  "aria.waste": "High waste risk: {pattern}. In pattern for {duration}. Session waste {pct}.",
+  "aria.flagged": "Flagged: {pattern}. In pattern for {duration}. Session waste {pct}.",
+  "aria.focused": "Focused. Session waste {pct}.",
+
+  // Accessibility
+  "a11y.region": "Wastemeter focus overlay",
+  "a11y.move": "Move overlay",
+  "a11y.moveHint":
+    "Arrow keys move the overlay, Shift for bigger steps. Home, End, Page Up and Page Down snap it to a corner. Enter toggles mouse dragging.",
+  "a11y.movedTo": "Moved to the {corner} corner",
+  "a11y.corner.top-left": "top left",
+  "a11y.corner.top-right": "top right",
+  "a11y.corner.bottom-left": "bottom left",
+  "a11y.corner.bottom-right": "bottom right",
+  "a11y.muted": "Sounds muted",
+  "a11y.unmuted": "Sounds on",
+  "a11y.snoozed": "Alerts snoozed for {duration}",
+  "a11y.unsnoozed": "Alerts back on",
+  "a11y.paused": "Session paused",
+  "a11y.resumed": "Session resumed",
+
+  // Consent & recorded data
+  "consent.title": "Before you start",
+  "consent.body":
+    "Wastemeter watches for patterns like idling or off-task browsing during this lesson, nudges you when you drift, and keeps a log you can look at or delete at any time.",
+  "consent.recorded": "What is recorded",
+  "consent.item.patterns": "Which pattern you are in, second by second",
+  "consent.item.alerts": "When alerts fired and when you snoozed them",
+  "consent.item.lesson": "The lesson section and video position at the time",
+  "consent.item.storage": {
+    one: "Sessions are saved in this browser for {count} day",
+    other: "Sessions are saved in this browser for {count} days",
+  },
+  "consent.item.storageKept": "Sessions are saved in this browser until you delete them",
+  "consent.item.anonymous": "Anonymous: no times or IDs, nothing saved after the session",
+  "consent.anonymous": "Anonymous mode",
+  "consent.accept": "Agree and start",
+  "consent.decline": "Not now",
+  "consent.declined": "Tracking is off. Nothing is being recorded.",
+  "consent.review": "Review",
+  "privacy.title": "What was recorded",
+  "privacy.close": "Close recorded data",
+  "privacy.intro": "Everything Wastemeter keeps about you in this browser.",
+  "privacy.introAnonymous":
+    "This session is anonymous: times are kept only relative to the session start, and nothing is saved once it ends.",
+  "privacy.thisSession": { one: "This session · {count} entry", other: "This session · {count} entries" },
+  "privacy.nothingYet": "Nothing recorded yet.",
+  "privacy.stored": "Saved in this browser",
+  "privacy.notStored": "Nothing from this session is saved in this browser.",
+  "privacy.storedSessions": { one: "{count} saved session", other: "{count} saved sessions" },
+  "privacy.oldest": "oldest from {date}",
+  "privacy.retention": {
+    one: "Sessions are deleted automatically after {count} day.",
+    other: "Sessions are deleted automatically after {count} days.",
+  },
+  "privacy.retentionNone": "Sessions are kept until you delete them.",
+  "privacy.storedOther": "Your settings, badges and consent choice are saved too.",
+  "privacy.deleteAll": "Delete all my data",
+  "privacy.confirmDelete": "Yes, delete everything",
+  "privacy.cancel": "Cancel",
+  "privacy.deleted": "All your Wastemeter data was deleted",
+  "privacy.deleteFailed": "Your data could not be deleted. Please try again.",
+
+  // Goals & badges
+  "goal.maxWastePct": "Under {pct} waste",
+  "goal.focusedMinutes": { one: "{count} focused minute", other: "{count} focused minutes" },
+  "goal.current": "Goal: {goal}",
+  "goal.title": "Session goal",
+  "goal.progress": "Goal progress",
+  "goal.wasted": "{pct} wasted",
+  "goal.focusedOf": "{minutes} / {target} min",
+  "badge.streak-5": "Locked in",
+  "badge.streak-10": "Deep focus",
+  "badge.streak-20": "Flow state",
+  "badge.goal-met": "Goal getter",
+  "badgeInfo.streak-5": "5 focused minutes in a row",
+  "badgeInfo.streak-10": "10 focused minutes in a row",
+  "badgeInfo.streak-20": "20 focused minutes in a row",
+  "badgeInfo.goal-met": "Met a session goal",
+  "rewards.title": "Goals & Badges",
+  "rewards.close": "Close goals",
+  "rewards.enable": "Positive mode — set a goal and earn badges",
+  "rewards.noGoal": "No goal",
+  "rewards.maxWastePct": "Keep waste under",
+  "rewards.focusedMinutes": "Focused minutes",
+  "rewards.unit.maxWastePct": "%",
+  "rewards.unit.focusedMinutes": "min",
+  "rewards.target": "Goal target",
+  "rewards.achievements": "Achievements",
+  "rewards.goalsMet": "Goals met",
+  "rewards.bestStreak": "Best streak",
+  "rewards.badges": "Badges",
+
+  // Summary tray
+  "tray.title": "Session Summary (Live)",
+  "tray.totals": "Wasted: {wasted} • Total: {total}",
+  "tray.export": "Export session as {format}",
+  "tray.history": "History",
+  "tray.log": "Log",
+  "tray.myData": "My data",
+  "tray.trends": "Trends",
+  "tray.hide": "Hide summary",
+  "log.snoozed": "SNOOZED ({detail})",
+  "interval.PAUSED": "PAUSED",
+  "interval.SIGNAL_LOST": "SIGNAL LOST",
+  "column.time": "Time",
+  "column.pattern": "Pattern",
+  "column.peak": "Peak",
+  "column.duration": "Duration",
+  "column.share": "Share",
+  "column.wasted": "Wasted",
+
+  "trends.rate1m": "Last 1 min",
+  "trends.rate5m": "Last 5 min",
+  "trends.refocus": "Refocus after alert",
+  "trends.streak": "Focus streak",
+  "trends.bestStreak": "Best streak",
+  "trends.distractions": "Distractions",
+  "trends.timeline": "Timeline",
+  "trends.heatmap": "Patterns by minute",
+  "trends.noData": "No data yet.",
+  "trends.cell": "{pattern} · minute {minute}: {duration}",
+
+  // Session report
+  "report.title": "Session Report",
+  "report.close": "Close report",
+  "report.totalTime": "Total time",
+  "report.wastedTime": "Wasted time",
+  "report.longest": "Longest distraction",
+  "report.escalations": "Escalations fired",
+  "report.peak": "Peak severity",
+  "report.goalMet": "Goal: {goal} — met",
+  "report.goalMissed": "Goal: {goal} — missed",
+  "report.lessonPart": "Lesson part",
+  "report.videoPart": "Video {from}–{to}",
+  "report.newSession": "Start new session",
+
+  // Session history
+  "history.title": "Session History",
+  "history.close": "Close history",
+  "history.loading": "Loading…",
+  "history.empty": "No saved sessions yet.",
+  "history.started": "Started",
+  "history.waste": "Waste",
+  "history.inProgress": "(in progress)",
+  "history.download": "Download session JSON",
+
+  // Session replay
+  "replay.title": "Session Replay",
+  "replay.exit": "Exit replay",
+  "replay.position": "Replay position",
+  "replay.positionValue": "{position} of {length}",
+  "replay.play": "Play",
+  "replay.pause": "Pause",
+  "replay.playLabel": "Play replay",
+  "replay.pauseLabel": "Pause replay",
+  "replay.speed": "{speed}×",
+  "replay.segment": "{severity} · {from}–{to}",
+
+  // Settings
+  "settings.title": "Settings",
+  "settings.close": "Close settings",
+  "settings.thresholds": "Thresholds",
+  "settings.patternThresholds": "Own thresholds, not changed here: {patterns}",
+  "settings.warn": "Warn",
+  "settings.high": "High",
+  "settings.critical": "Critical",
+  "settings.tickMs": "Tick",
+  "settings.unit.seconds": "s",
+  "settings.unit.milliseconds": "ms",
+  "settings.waste": "Counts as wasted time",
+  "settings.ringMetric": "Ring shows",
+  "settings.channels": "Feedback channels",
+  "settings.channel.color": "Color",
+  "settings.channel.motion": "Motion",
+  "settings.channel.sound": "Sound",
+  "settings.channel.haptics": "Haptics",
+  "settings.sounds": "Sounds",
+  "settings.level.mild": "mild",
+  "settings.level.warn": "warn",
+  "settings.level.high": "high",
+  "settings.level.critical": "critical",
+  "settings.levelVolume": "{level} volume",
+  "settings.clip": "Clip",
+  "settings.clipTitle": "Use an audio clip instead of tones",
+  "settings.clipTooLarge": "Clip too large (max {kb} KB)",
+  "settings.testLevel": "Test {level} sound",
+  "settings.exportPreset": "Export preset",
+  "settings.importPreset": "Import preset",
+  "settings.importFailed": "Could not read preset file",
+  "settings.error.positive": "Must be a positive number",
+  "settings.error.greaterThan": "Must be greater than {min}",
+  "settings.error.unknownOption": "Unknown option",
+  "settings.error.onOff": "Must be on or off",
+  "settings.error.volume": "Volume must be between {min} and {max}",
+  "settings.error.notPreset": "Not a Wastemeter settings preset",
+  "settings.error.presetVersion": "Unsupported preset version: {version}",
+  "settings.error.invalidPreset": "Invalid preset: {reason}",
+  "settings.defaults": "Defaults",
+  "settings.display": "Display",
+  "settings.highContrast": "High contrast",
+  "settings.themeMode": "Theme",
+  "settings.themeMode.dark": "Dark",
+  "settings.themeMode.light": "Light",
+  "settings.themeMode.auto": "Match system",
+  "settings.layout": "Layout",
+  "settings.layout.card": "Card",
+  "settings.layout.pill": "Compact pill",
+  "settings.layout.edge": "Top bar",
+  "settings.showTray": "Show session summary",
+  "settings.shortcuts": "Keyboard shortcuts",
+  "shortcut.snooze": "Snooze / unsnooze alerts",
+  "shortcut.mute": "Mute / unmute",
+  "shortcut.pause": "Pause / resume",
+  "shortcut.focus": "Focus the overlay",
+  "shortcut.move": "Move (overlay focused)",
+};
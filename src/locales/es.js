@@ -0,0 +1,283 @@
+/**
+ * Spanish catalog
+ */
+export default {
+  "overlay.subtitle": "Monitor de atención con IA",
+  "overlay.subtitleReplay": "Repetición de sesión",
+  "overlay.timeRemaining": "Tiempo restante de la sesión",
+  "overlay.volume": "Volumen general",
+  "overlay.volumeValue": "Volumen {pct}",
+  "overlay.testSound": "Probar sonido",
+  "overlay.mute": "Silenciar",
+  "overlay.unmute": "Activar sonido",
+  "overlay.goals": "Metas e insignias",
+  "overlay.settings": "Ajustes",
+  "overlay.lock": "Fijar posición",
+  "overlay.unlock": "Desbloquear para mover",
+  "overlay.minimize": "Minimizar",
+  "overlay.expand": "Expandir",
+  "overlay.showSummary": "Mostrar resumen de la sesión",
+
+  "ring.session": "Pérdida de sesión",
+  "ring.rolling1m": "Último min",
+  "ring.rolling5m": "Últimos 5 min",
+  "overlay.currentBehavior": "Comportamiento actual",
+  "overlay.signalLost": "Sin señal",
+  "overlay.reconnecting": "Sin señal · reconectando…",
+  "overlay.duration": "Duración: {duration}",
+  "overlay.session": "Sesión: {duration}",
+  "overlay.sessionPaused": "Sesión: {duration} (en pausa)",
+  "overlay.sessionEnded": "Sesión: {duration} (terminada)",
+
+  "pattern.FOCUSED": "Concentrado",
+  "pattern.SOCIALIZING": "Socializando",
+  "pattern.IDLING": "Inactivo",
+  "pattern.NON_LEARNING_CONTENT": "Contenido no educativo",
+  "pattern.AWAY_FROM_SEAT": "Fuera del asiento",
+  "pattern.EATING": "Comiendo",
+  "pattern.RUSHING": "Con prisas",
+  "pattern.SKIPPING_RECOMMENDED_LESSON": "Saltando lección",
+  "pattern.CHEATING": "Haciendo trampa",
+
+  "severity.ok": "CONCENTRADO",
+  "severity.mild": "LEVE",
+  "severity.warn": "AVISO",
+  "severity.high": "ALTO",
+  "severity.critical": "CRÍTICO",
+  "severity.lost": "SIN SEÑAL",
+
+  "control.start": "Empezar",
+  "control.pause": "Pausar",
+  "control.resume": "Reanudar",
+  "control.end": "Terminar",
+  "control.endSession": "Terminar sesión",
+  "control.report": "Informe",
+  "control.newSession": "Nueva sesión",
+
+  "snooze.button": "Posponer",
+  "snooze.minutes": { one: "{count} minuto", other: "{count} minutos" },
+  "snooze.untilEnd": "Hasta el final de la sesión",
+  "snooze.whilePattern": "Mientras esté {pattern}",
+  "snooze.session": "sesión",
+  "snooze.snoozed": "Pospuesto · {label}",
+  "snooze.snoozedTitle": "Alertas pospuestas",
+  "snooze.unsnooze": "Reactivar",
+  "snooze.unsnoozeAria": "Reactivar alertas",
+
+  "nudge.mild": "Atención: es momento de volver a concentrarte.",
+  "nudge.warn": "Te estás dispersando. Vuelve a la lección.",
+  "nudge.high": "Mucho tiempo perdido: cierra las distracciones ahora.",
+  "nudge.critical": "Crítico: distracción prolongada. Vuelve a concentrarte ya.",
+  "nudge.recovered": "De vuelta al camino: ¡bien hecho!",
+  "nudge.badge": "Insignia conseguida: {badge}",
+
+  "aria.lost": "Sin señal. Pérdida de la sesión: {pct}.",
+  "aria.waste": "Riesgo alto de pérdida: {pattern}. En este patrón desde hace {duration}. Pérdida de la sesión: {pct}.",
+  "aria.flagged": "Señalado: {pattern}. En este patrón desde hace {duration}. Pérdida de la sesión: {pct}.",
+  "aria.focused": "Concentrado. Pérdida de la sesión: {pct}.",
+
+  "a11y.region": "Panel de atención Wastemeter",
+  "a11y.move": "Mover el panel",
+  "a11y.moveHint":
+    "Las flechas mueven el panel; con Mayús, en pasos más grandes. Inicio, Fin, Re Pág y Av Pág lo llevan a una esquina. Intro activa o desactiva el arrastre con el ratón.",
+  "a11y.movedTo": "Movido a la esquina {corner}",
+  "a11y.corner.top-left": "superior izquierda",
+  "a11y.corner.top-right": "superior derecha",
+  "a11y.corner.bottom-left": "inferior izquierda",
+  "a11y.corner.bottom-right": "inferior derecha",
+  "a11y.muted": "Sonidos silenciados",
+  "a11y.unmuted": "Sonidos activados",
+  "a11y.snoozed": "Alertas pospuestas durante {duration}",
+  "a11y.unsnoozed": "Alertas reactivadas",
+  "a11y.paused": "Sesión en pausa",
+  "a11y.resumed": "Sesión reanudada",
+
+  "consent.title": "Antes de empezar",
+  "consent.body":
+    "Wastemeter detecta patrones como la inactividad o la navegación ajena a la clase durante esta lección, te avisa cuando te dispersas y guarda un registro que puedes ver o borrar en cualquier momento.",
+  "consent.recorded": "Qué se registra",
+  "consent.item.patterns": "En qué patrón estás, segundo a segundo",
+  "consent.item.alerts": "Cuándo saltaron las alertas y cuándo las pospusiste",
+  "consent.item.lesson": "La sección de la lección y la posición del vídeo en ese momento",
+  "consent.item.storage": {
+    one: "Las sesiones se guardan en este navegador durante {count} día",
+    other: "Las sesiones se guardan en este navegador durante {count} días",
+  },
+  "consent.item.storageKept": "Las sesiones se guardan en este navegador hasta que las borres",
+  "consent.item.anonymous": "Anónimo: sin horas ni identificadores, no se guarda nada al terminar",
+  "consent.anonymous": "Modo anónimo",
+  "consent.accept": "Aceptar y empezar",
+  "consent.decline": "Ahora no",
+  "consent.declined": "El seguimiento está desactivado. No se registra nada.",
+  "consent.review": "Revisar",
+  "privacy.title": "Qué se ha registrado",
+  "privacy.close": "Cerrar datos registrados",
+  "privacy.intro": "Todo lo que Wastemeter guarda sobre ti en este navegador.",
+  "privacy.introAnonymous":
+    "Esta sesión es anónima: las horas solo se guardan en relación con el inicio de la sesión y no se guarda nada al terminar.",
+  "privacy.thisSession": { one: "Esta sesión · {count} entrada", other: "Esta sesión · {count} entradas" },
+  "privacy.nothingYet": "Aún no se ha registrado nada.",
+  "privacy.stored": "Guardado en este navegador",
+  "privacy.notStored": "No se guarda nada de esta sesión en este navegador.",
+  "privacy.storedSessions": { one: "{count} sesión guardada", other: "{count} sesiones guardadas" },
+  "privacy.oldest": "la más antigua del {date}",
+  "privacy.retention": {
+    one: "Las sesiones se borran automáticamente tras {count} día.",
+    other: "Las sesiones se borran automáticamente tras {count} días.",
+  },
+  "privacy.retentionNone": "Las sesiones se conservan hasta que las borres.",
+  "privacy.storedOther": "También se guardan tus ajustes, insignias y tu decisión de consentimiento.",
+  "privacy.deleteAll": "Borrar todos mis datos",
+  "privacy.confirmDelete": "Sí, borrarlo todo",
+  "privacy.cancel": "Cancelar",
+  "privacy.deleted": "Se han borrado todos tus datos de Wastemeter",
+  "privacy.deleteFailed": "No se pudieron borrar tus datos. Inténtalo de nuevo.",
+
+  "goal.maxWastePct": "Menos del {pct} de pérdida",
+  "goal.focusedMinutes": { one: "{count} minuto de concentración", other: "{count} minutos de concentración" },
+  "goal.current": "Meta: {goal}",
+  "goal.title": "Meta de la sesión",
+  "goal.progress": "Progreso de la meta",
+  "goal.wasted": "{pct} perdido",
+  "goal.focusedOf": "{minutes} / {target} min",
+  "badge.streak-5": "Enfocado",
+  "badge.streak-10": "Concentración profunda",
+  "badge.streak-20": "Estado de flujo",
+  "badge.goal-met": "Meta cumplida",
+  "badgeInfo.streak-5": "5 minutos seguidos de concentración",
+  "badgeInfo.streak-10": "10 minutos seguidos de concentración",
+  "badgeInfo.streak-20": "20 minutos seguidos de concentración",
+  "badgeInfo.goal-met": "Cumpliste una meta de sesión",
+  "rewards.title": "Metas e insignias",
+  "rewards.close": "Cerrar metas",
+  "rewards.enable": "Modo positivo: fija una meta y gana insignias",
+  "rewards.noGoal": "Sin meta",
+  "rewards.maxWastePct": "Pérdida por debajo de",
+  "rewards.focusedMinutes": "Minutos de concentración",
+  "rewards.unit.maxWastePct": "%",
+  "rewards.unit.focusedMinutes": "min",
+  "rewards.target": "Objetivo de la meta",
+  "rewards.achievements": "Logros",
+  "rewards.goalsMet": "Metas cumplidas",
+  "rewards.bestStreak": "Mejor racha",
+  "rewards.badges": "Insignias",
+
+  "tray.title": "Resumen de la sesión (en vivo)",
+  "tray.totals": "Perdido: {wasted} • Total: {total}",
+  "tray.export": "Exportar sesión como {format}",
+  "tray.history": "Historial",
+  "tray.log": "Registro",
+  "tray.myData": "Mis datos",
+  "tray.trends": "Tendencias",
+  "tray.hide": "Ocultar resumen",
+  "log.snoozed": "POSPUESTO ({detail})",
+  "interval.PAUSED": "EN PAUSA",
+  "interval.SIGNAL_LOST": "SIN SEÑAL",
+  "column.time": "Hora",
+  "column.pattern": "Patrón",
+  "column.peak": "Pico",
+  "column.duration": "Duración",
+  "column.share": "Parte",
+  "column.wasted": "Perdido",
+
+  "trends.rate1m": "Último min",
+  "trends.rate5m": "Últimos 5 min",
+  "trends.refocus": "Reenfoque tras alerta",
+  "trends.streak": "Racha actual",
+  "trends.bestStreak": "Mejor racha",
+  "trends.distractions": "Distracciones",
+  "trends.timeline": "Línea de tiempo",
+  "trends.heatmap": "Patrones por minuto",
+  "trends.noData": "Aún no hay datos.",
+  "trends.cell": "{pattern} · minuto {minute}: {duration}",
+
+  "report.title": "Informe de la sesión",
+  "report.close": "Cerrar informe",
+  "report.totalTime": "Tiempo total",
+  "report.wastedTime": "Tiempo perdido",
+  "report.longest": "Distracción más larga",
+  "report.escalations": "Alertas disparadas",
+  "report.peak": "Gravedad máxima",
+  "report.goalMet": "Meta: {goal} — cumplida",
+  "report.goalMissed": "Meta: {goal} — no cumplida",
+  "report.lessonPart": "Parte de la lección",
+  "report.videoPart": "Vídeo {from}–{to}",
+  "report.newSession": "Empezar nueva sesión",
+
+  "history.title": "Historial de sesiones",
+  "history.close": "Cerrar historial",
+  "history.loading": "Cargando…",
+  "history.empty": "Aún no hay sesiones guardadas.",
+  "history.started": "Inicio",
+  "history.waste": "Pérdida",
+  "history.inProgress": "(en curso)",
+  "history.download": "Descargar sesión en JSON",
+
+  "replay.title": "Repetición de sesión",
+  "replay.exit": "Salir de la repetición",
+  "replay.position": "Posición de la repetición",
+  "replay.positionValue": "{position} de {length}",
+  "replay.play": "Reproducir",
+  "replay.pause": "Pausar",
+  "replay.playLabel": "Reproducir la repetición",
+  "replay.pauseLabel": "Pausar la repetición",
+  "replay.speed": "{speed}×",
+  "replay.segment": "{severity} · {from}–{to}",
+
+  "settings.title": "Ajustes",
+  "settings.close": "Cerrar ajustes",
+  "settings.thresholds": "Umbrales",
+  "settings.patternThresholds": "Con umbrales propios, que no se cambian aquí: {patterns}",
+  "settings.warn": "Aviso",
+  "settings.high": "Alto",
+  "settings.critical": "Crítico",
+  "settings.tickMs": "Intervalo",
+  "settings.unit.seconds": "s",
+  "settings.unit.milliseconds": "ms",
+  "settings.waste": "Cuenta como tiempo perdido",
+  "settings.ringMetric": "El anillo muestra",
+  "settings.channels": "Canales de aviso",
+  "settings.channel.color": "Color",
+  "settings.channel.motion": "Movimiento",
+  "settings.channel.sound": "Sonido",
+  "settings.channel.haptics": "Vibración",
+  "settings.sounds": "Sonidos",
+  "settings.level.mild": "leve",
+  "settings.level.warn": "aviso",
+  "settings.level.high": "alto",
+  "settings.level.critical": "crítico",
+  "settings.levelVolume": "Volumen {level}",
+  "settings.clip": "Clip",
+  "settings.clipTitle": "Usar un clip de audio en lugar de tonos",
+  "settings.clipTooLarge": "Clip demasiado grande (máx. {kb} KB)",
+  "settings.testLevel": "Probar sonido {level}",
+  "settings.exportPreset": "Exportar ajustes",
+  "settings.importPreset": "Importar ajustes",
+  "settings.importFailed": "No se pudo leer el archivo de ajustes",
+  "settings.error.positive": "Debe ser un número positivo",
+  "settings.error.greaterThan": "Debe ser mayor que {min}",
+  "settings.error.unknownOption": "Opción desconocida",
+  "settings.error.onOff": "Debe estar activado o desactivado",
+  "settings.error.volume": "El volumen debe estar entre {min} y {max}",
+  "settings.error.notPreset": "No es un archivo de ajustes de Wastemeter",
+  "settings.error.presetVersion": "Versión de ajustes no compatible: {version}",
+  "settings.error.invalidPreset": "Ajustes no válidos: {reason}",
+  "settings.defaults": "Predeterminados",
+  "settings.display": "Pantalla",
+  "settings.highContrast": "Alto contraste",
+  "settings.themeMode": "Tema",
+  "settings.themeMode.dark": "Oscuro",
+  "settings.themeMode.light": "Claro",
+  "settings.themeMode.auto": "Según el sistema",
+  "settings.layout": "Diseño",
+  "settings.layout.card": "Tarjeta",
+  "settings.layout.pill": "Píldora compacta",
+  "settings.layout.edge": "Barra superior",
+  "settings.showTray": "Mostrar resumen de la sesión",
+  "settings.shortcuts": "Atajos de teclado",
+  "shortcut.snooze": "Posponer / reactivar alertas",
+  "shortcut.mute": "Silenciar / activar sonido",
+  "shortcut.pause": "Pausar / reanudar",
+  "shortcut.focus": "Enfocar el panel",
+  "shortcut.move": "Mover (con el panel enfocado)",
+};
@@ -0,0 +1,168 @@
+/**
+ * Persistence
+ * -----------
+ *  • Overlay preferences (mute, drag lock, snooze, widget position, whether
+ *    it is minimized) live in localStorage, one entry per user.
+ *  • Achievements (badges and goal tallies, see ./goals.js) also live in
+ *    localStorage, separate from prefs so clearing one keeps the other.
+ *  • Consent (see ./privacy.js) is its own localStorage entry too.
+ *  • Sessions live in IndexedDB so the active session survives a reload and
+ *    finished ones build up a history. A record is
+ *      { id, userId, status: "active" | "ended", updatedAt, summary, data }
+ *    where `summary` is what the history list shows and `data` is whatever
+ *    the overlay needs to resume (opaque to this module). Records past the
+ *    retention limit are purged, and deleteUserData removes everything
+ *    stored for a user.
+ *
+ * Everything degrades to a no-op where the storage APIs are unavailable
+ * (SSR, private mode, blocked storage).
+ */
+
+const PREFS_PREFIX = "wastemeter:prefs:";
+const ACHIEVEMENTS_PREFIX = "wastemeter:achievements:";
+const CONSENT_PREFIX = "wastemeter:consent:";
+const DB_NAME = "wastemeter";
+const DB_VERSION = 1;
+const STORE = "sessions";
+
+export function loadPrefs(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(PREFS_PREFIX + userId)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function savePrefs(userId, prefs) {
+  try {
+    localStorage.setItem(PREFS_PREFIX + userId, JSON.stringify(prefs));
+  } catch {
+    // no-op
+  }
+}
+
+export function loadAchievements(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(ACHIEVEMENTS_PREFIX + userId)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveAchievements(userId, achievements) {
+  try {
+    localStorage.setItem(ACHIEVEMENTS_PREFIX + userId, JSON.stringify(achievements));
+  } catch {
+    // no-op
+  }
+}
+
+export function loadConsent(userId) {
+  try {
+    return JSON.parse(localStorage.getItem(CONSENT_PREFIX + userId)) || null;
+  } catch {
+    return null;
+  }
+}
+
+export function saveConsent(userId, consent) {
+  try {
+    localStorage.setItem(CONSENT_PREFIX + userId, JSON.stringify(consent));
+  } catch {
+    // no-op
+  }
+}
+
+let dbPromise = null;
+function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      let req;
+      try {
+        req = indexedDB.open(DB_NAME, DB_VERSION);
+      } catch {
+        // Sandboxed iframes and blocked storage throw instead of failing the request
+        resolve(null);
+        return;
+      }
+      req.onupgradeneeded = () => {
+        const store = req.result.createObjectStore(STORE, { keyPath: "id" });
+        store.createIndex("userId", "userId");
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => resolve(null);
+    });
+  }
+  return dbPromise;
+}
+
+const asPromise = (req) =>
+  new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+
+async function withStore(mode, fn, fallback) {
+  try {
+    const db = await openDb();
+    if (!db) return fallback;
+    return await asPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
+  } catch {
+    return fallback;
+  }
+}
+
+export const newSessionId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+export function saveSessionRecord(record) {
+  return withStore("readwrite", (store) => store.put({ ...record, updatedAt: Date.now() }), undefined);
+}
+
+/** All sessions for a user, newest first. */
+export async function listSessionRecords(userId) {
+  const records = await withStore("readonly", (store) => store.index("userId").getAll(userId), []);
+  return records.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+/** The user's unfinished session, if any (most recent wins). */
+export async function findActiveSessionRecord(userId) {
+  return (await listSessionRecords(userId)).find((r) => r.status === "active");
+}
+
+export function deleteSessionRecord(id) {
+  return withStore("readwrite", (store) => store.delete(id), undefined);
+}
+
+/** Delete the user's sessions last saved before `cutoff` (epoch ms); resolves to how many were deleted. */
+export async function purgeSessionRecords(userId, cutoff) {
+  const expired = (await listSessionRecords(userId)).filter((r) => r.updatedAt < cutoff);
+  await Promise.all(expired.map((r) => deleteSessionRecord(r.id)));
+  return expired.length;
+}
+
+/**
+ * Remove everything stored for a user: sessions, preferences, achievements and consent.
+ * Unlike the other helpers this rejects when the sessions could not be deleted, so the
+ * caller never reports data as gone that is still stored.
+ */
+export async function deleteUserData(userId) {
+  const db = await openDb();
+  if (db) {
+    await new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE, "readwrite");
+      const store = tx.objectStore(STORE);
+      const keys = store.index("userId").getAllKeys(userId);
+      keys.onsuccess = () => keys.result.forEach((key) => store.delete(key));
+      tx.oncomplete = () => resolve();
+      tx.onerror = tx.onabort = () => reject(tx.error);
+    });
+  }
+  for (const prefix of [PREFS_PREFIX, ACHIEVEMENTS_PREFIX, CONSENT_PREFIX]) {
+    try {
+      localStorage.removeItem(prefix + userId);
+    } catch {
+      // no-op
+    }
+  }
+}
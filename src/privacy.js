@@ -0,0 +1,45 @@
+/**
+ * Privacy
+ * -------
+ * Nothing is tracked until the learner consents, unless the host collected
+ * consent itself and turns the gate off (`config.privacy.requireConsent`).
+ * Consent is stored per user as `{ version, anonymous }`; bumping
+ * CONSENT_VERSION (e.g. when what is recorded changes) asks everyone again.
+ *
+ * Anonymous sessions keep no identifiers and no wall-clock times: they are
+ * never written to session storage or achievements, and whatever leaves the
+ * overlay (exports, snapshots, onSessionEnd) goes through anonymizeSession.
+ *
+ * Stored sessions older than `retentionDays` are purged when the overlay
+ * mounts (see purgeSessionRecords in ./persistence.js).
+ */
+
+export const CONSENT_VERSION = 1;
+
+export const hasConsent = (consent) => consent?.version === CONSENT_VERSION;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Epoch ms before which stored sessions are deleted, or null to keep them. */
+export const retentionCutoff = (retentionDays, now) =>
+  retentionDays == null || !(retentionDays > 0) ? null : now - retentionDays * DAY_MS;
+
+/**
+ * An exported session (see ./sessionExport.js) with every timestamp removed:
+ * segments and snoozes carry `startSec` / `endSec` (seconds from the session
+ * start) instead of `start` / `end`, and the session has no start, end or
+ * export time.
+ */
+export function anonymizeSession(session) {
+  const origin = Date.parse(session.session.startedAt) || Date.parse(session.segments[0]?.start) || 0;
+  const offset = (iso) => (iso == null ? null : Math.max(0, Math.round((Date.parse(iso) - origin) / 1000)));
+  const strip = ({ start, end, ...rest }) => ({ ...rest, startSec: offset(start), endSec: offset(end) });
+  return {
+    ...session,
+    anonymous: true,
+    exportedAt: null,
+    session: { ...session.session, startedAt: null, endedAt: null },
+    segments: session.segments.map(strip),
+    snoozes: (session.snoozes || []).map(strip),
+  };
+}
@@ -0,0 +1,132 @@
+/**
+ * Session export / import
+ * -----------------------
+ * Versioned, JSON-serializable snapshot of a Wastemeter session (segments,
+ * snoozes, per-pattern totals, config thresholds, timestamps) plus a CSV rendering for
+ * spreadsheets. `parseSession` accepts what `toSessionJSON` produces, so an
+ * export can be re-imported or replayed.
+ */
+
+export const SESSION_SCHEMA = "wastemeter.session";
+export const SESSION_SCHEMA_VERSION = 1;
+
+const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+
+/**
+ * Build the export object.
+ * `stream` is the signal-stream state (sessionSec, wastedSec, patternSec, …);
+ * `segments` and `snoozes` are the session logs (see ./sessionLog.js).
+ */
+export function serializeSession({
+  config,
+  stream,
+  segments,
+  snoozes = [],
+  startedAt = null,
+  endedAt = null,
+  state = null,
+}) {
+  const totals = config.patterns
+    .map((p) => ({ pattern: p.key, label: p.label, sec: stream.patternSec[p.key] || 0, wasted: !!p.waste }))
+    .filter((t) => t.sec > 0);
+  return {
+    schema: SESSION_SCHEMA,
+    version: SESSION_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    session: {
+      state,
+      startedAt: iso(startedAt),
+      endedAt: iso(endedAt),
+      totalSec: stream.sessionSec,
+      wastedSec: Math.round(stream.wastedSec * 100) / 100,
+      wastedPct: Math.round((stream.wastedSec / Math.max(1, stream.sessionSec)) * 100),
+      longestWasteStreakSec: stream.longestWasteStreakSec,
+    },
+    config: {
+      tickMs: config.tickMs,
+      thresholds: { ...config.thresholds },
+      targetSessionSec: config.targetSessionSec,
+      patterns: config.patterns.map((p) => ({ ...p })),
+    },
+    totals,
+    segments: segments.map((s) => ({ ...s, start: iso(s.start), end: iso(s.end) })),
+    snoozes: snoozes.map((s) => ({ ...s, start: iso(s.start), end: iso(s.end) })),
+  };
+}
+
+export function toSessionJSON(session) {
+  return JSON.stringify(session, null, 2);
+}
+
+const csvCell = (v) => {
+  if (v == null) return "";
+  const str = String(v);
+  return /[",\n]/.test(str) ? `"${str.replaceAll('"', '""')}"` : str;
+};
+const csvRows = (rows) => rows.map((r) => r.map(csvCell).join(",")).join("\n");
+
+/**
+ * CSV rendering in blank-line separated sections: session/threshold
+ * metadata, per-pattern totals, segments, and snoozes.
+ */
+export function toSessionCSV(session) {
+  const meta = [
+    ["section", "key", "value"],
+    ["meta", "schema", `${session.schema}@${session.version}`],
+    ["meta", "exportedAt", session.exportedAt],
+    ...Object.entries(session.session).map(([k, v]) => ["session", k, v]),
+    ...Object.entries(session.config.thresholds).map(([k, v]) => ["threshold", k, v]),
+  ];
+  const totals = [
+    ["pattern", "label", "total_sec", "wasted"],
+    ...session.totals.map((t) => [t.pattern, t.label, t.sec, t.wasted]),
+  ];
+  // Anonymous sessions (see ./privacy.js) have offsets from the session start instead of timestamps
+  const [startCol, endCol] = session.anonymous ? ["start_sec", "end_sec"] : ["start", "end"];
+  const times = (s) => (session.anonymous ? [s.startSec, s.endSec] : [s.start, s.end]);
+  const segments = [
+    [
+      startCol,
+      endCol,
+      "pattern",
+      "duration_sec",
+      "wasted",
+      "peak_severity",
+      "section",
+      "video_from_sec",
+      "video_to_sec",
+    ],
+    ...session.segments.map((s) => [
+      ...times(s),
+      s.pattern,
+      s.durationSec,
+      s.wasted,
+      s.peakSeverity,
+      s.section,
+      s.videoFromSec,
+      s.videoToSec,
+    ]),
+  ];
+  const snoozes = [
+    [`snooze_${startCol}`, `snooze_${endCol}`, "mode", "minutes", "pattern"],
+    ...(session.snoozes || []).map((s) => [...times(s), s.mode, s.minutes, s.pattern]),
+  ];
+  return [csvRows(meta), csvRows(totals), csvRows(segments), csvRows(snoozes)].join("\n\n") + "\n";
+}
+
+/**
+ * Parse and validate an exported session (string or object).
+ * Throws an Error describing the first problem found.
+ */
+export function parseSession(input) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || data.schema !== SESSION_SCHEMA) throw new Error("Not a Wastemeter session export");
+  if (data.version !== SESSION_SCHEMA_VERSION) throw new Error(`Unsupported session version: ${data.version}`);
+  if (!data.config || !Array.isArray(data.config.patterns)) throw new Error("Session is missing its config");
+  if (!Array.isArray(data.segments)) throw new Error("Session is missing its segments");
+  if (data.snoozes != null && !Array.isArray(data.snoozes)) throw new Error("Session snoozes must be a list");
+  data.segments.forEach((s, i) => {
+    if (!s || typeof s.pattern !== "string" || !(s.durationSec >= 0)) throw new Error(`Invalid segment at index ${i}`);
+  });
+  return data;
+}
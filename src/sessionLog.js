@@ -0,0 +1,109 @@
+/**
+ * Session log
+ * -----------
+ * The session history is a list of segments, oldest first:
+ *   { pattern, start, end, durationSec, wasted, peakSeverity }
+ *
+ *  • Pattern segments grow by one second per accrued tick while the learner
+ *    stays in the same pattern; `start`/`end` are epoch ms of the first/last tick.
+ *  • With a lesson context (see ./lessonContext.js) pattern segments also
+ *    carry `section`, `videoFromSec` and `videoToSec`, and a new segment
+ *    starts whenever those change.
+ *  • Interval segments ("PAUSED", "SIGNAL_LOST") cover time that was not
+ *    accrued. They stay open (`end: null`) until the next tick or interval
+ *    closes them; their duration is wall-clock time.
+ *
+ * All helpers are pure and return a new array.
+ */
+
+import { SEVERITY_ORDER } from "./severity";
+import { wasteWeight } from "./signalStream";
+
+export const INTERVAL_PATTERNS = ["PAUSED", "SIGNAL_LOST"];
+
+const worse = (a, b) => (SEVERITY_ORDER.indexOf(b) > SEVERITY_ORDER.indexOf(a) ? b : a);
+
+const isOpenInterval = (seg) => !!seg && INTERVAL_PATTERNS.includes(seg.pattern) && seg.end == null;
+
+/** Close a trailing open interval segment at `ts` (no-op otherwise). */
+export function closeInterval(segments, ts) {
+  const last = segments[segments.length - 1];
+  if (!isOpenInterval(last)) return segments;
+  const durationSec = Math.max(0, Math.round((ts - last.start) / 1000));
+  return [...segments.slice(0, -1), { ...last, end: ts, durationSec }];
+}
+
+/** Start an untimed interval ("PAUSED" / "SIGNAL_LOST"); no-op if that interval is already open. */
+export function openInterval(segments, pattern, ts) {
+  const last = segments[segments.length - 1];
+  if (isOpenInterval(last) && last.pattern === pattern) return segments;
+  const closed = closeInterval(segments, ts);
+  return [...closed, { pattern, start: ts, end: null, durationSec: 0, wasted: false, peakSeverity: "ok" }];
+}
+
+const sameContext = (seg, context) =>
+  (seg.section ?? null) === (context.section ?? null) && (seg.videoFromSec ?? null) === (context.videoFromSec ?? null);
+
+/**
+ * Record one accrued tick, extending the current segment if the pattern (and
+ * lesson `context`, if given) is unchanged.
+ */
+export function logTick(segments, { pattern, wasted, severity, ts, context = {} }) {
+  const closed = closeInterval(segments, ts);
+  const last = closed[closed.length - 1];
+  if (last && last.pattern === pattern && sameContext(last, context)) {
+    return [
+      ...closed.slice(0, -1),
+      { ...last, end: ts, durationSec: last.durationSec + 1, peakSeverity: worse(last.peakSeverity, severity) },
+    ];
+  }
+  return [...closed, { pattern, start: ts, end: ts, durationSec: 1, wasted, peakSeverity: severity, ...context }];
+}
+
+const mmss = (sec) => `${Math.floor(sec / 60)}:${String(sec % 60).padStart(2, "0")}`;
+
+/**
+ * Time and wasted time per lesson part, most wasted first. A segment counts
+ * towards its video range while a video was playing, else its section;
+ * untagged segments are left out. Wasted time is scaled by the pattern's
+ * `weight` in `config`, as in the session totals. Rows carry the English
+ * `part` label and the `section` / `videoFromSec` / `videoToSec` it was built from.
+ */
+export function summarizeLessonParts(segments, config) {
+  const parts = new Map();
+  for (const seg of segments) {
+    if (INTERVAL_PATTERNS.includes(seg.pattern)) continue;
+    const part =
+      seg.videoFromSec != null ? `Video ${mmss(seg.videoFromSec)}–${mmss(seg.videoToSec)}` : seg.section || null;
+    if (!part) continue;
+    const row = parts.get(part) || {
+      part,
+      section: seg.section ?? null,
+      videoFromSec: seg.videoFromSec ?? null,
+      videoToSec: seg.videoToSec ?? null,
+      totalSec: 0,
+      wastedSec: 0,
+    };
+    row.totalSec += seg.durationSec;
+    if (seg.wasted) {
+      const pattern = config.patterns.find((p) => p.key === seg.pattern);
+      row.wastedSec += seg.durationSec * wasteWeight({ waste: true, weight: pattern?.weight });
+    }
+    parts.set(part, row);
+  }
+  return [...parts.values()].sort((a, b) => b.wastedSec - a.wastedSec || b.totalSec - a.totalSec);
+}
+
+/**
+ * Snoozes overlap pattern segments, so they are logged in their own list:
+ *   { start, end, mode: "timed" | "session" | "pattern", minutes, pattern }
+ * At most one is open (`end: null`) at a time.
+ */
+export function startSnooze(snoozes, { mode, minutes = null, pattern = null, ts }) {
+  return [...endSnooze(snoozes, ts), { start: ts, end: null, mode, minutes, pattern }];
+}
+
+/** Close the open snooze at `ts` (no-op if none is open). */
+export function endSnooze(snoozes, ts) {
+  return snoozes.map((s) => (s.end == null ? { ...s, end: ts } : s));
+}
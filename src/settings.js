@@ -0,0 +1,146 @@
+/**
+ * Runtime settings
+ * ----------------
+ * What the overlay's settings panel can change without editing source:
+ *   { tickMs, thresholds: { warn, high, critical }, waste: { [key]: bool },
+ *     channels: { color, motion, sound, haptics },
+ *     sounds: { [level]: { volume, clip } },
+ *     ringMetric: "session" | "rolling1m" | "rolling5m",
+ *     highContrast: bool, themeMode: "dark" | "light" | "auto",
+ *     layout: "card" | "pill" | "edge", showTray: bool }
+ * where a sound `clip` (data URL) replaces the level's tones from
+ * `config.sounds` (see ./audio.js); theme modes and layouts are described in
+ * ./theme.js.
+ * `applySettings` layers them over a config; the session keeps running, only
+ * severity and feedback change. Settings round-trip through a versioned JSON
+ * preset so they can be shared between machines.
+ */
+
+import { LAYOUTS, THEME_MODES } from "./theme";
+
+export const FEEDBACK_CHANNELS = ["color", "motion", "sound", "haptics"];
+export const SOUND_LEVELS = ["mild", "warn", "high", "critical"];
+export const RING_METRIC_KEYS = ["session", "rolling1m", "rolling5m"];
+
+export const PRESET_SCHEMA = "wastemeter.preset";
+export const PRESET_SCHEMA_VERSION = 1;
+
+/** Settings matching `config` as written (all channels on). */
+export function settingsFromConfig(config) {
+  return {
+    tickMs: config.tickMs,
+    thresholds: { ...config.thresholds },
+    waste: Object.fromEntries(config.patterns.map((p) => [p.key, !!p.waste])),
+    channels: Object.fromEntries(FEEDBACK_CHANNELS.map((c) => [c, true])),
+    sounds: Object.fromEntries(
+      SOUND_LEVELS.map((l) => [l, { volume: config.sounds?.[l]?.volume ?? 1, clip: config.sounds?.[l]?.clip ?? null }])
+    ),
+    ringMetric: config.ringMetric ?? "session",
+    highContrast: !!config.highContrast,
+    themeMode: config.theme?.mode ?? "dark",
+    layout: config.layout ?? "card",
+    showTray: config.showTray ?? true,
+  };
+}
+
+/** `partial` (e.g. saved or imported settings) layered over `base`, section by section. */
+export function mergeSettings(base, partial = {}) {
+  return {
+    tickMs: partial.tickMs ?? base.tickMs,
+    thresholds: { ...base.thresholds, ...partial.thresholds },
+    waste: { ...base.waste, ...partial.waste },
+    channels: { ...base.channels, ...partial.channels },
+    sounds: Object.fromEntries(SOUND_LEVELS.map((l) => [l, { ...base.sounds[l], ...partial.sounds?.[l] }])),
+    ringMetric: partial.ringMetric ?? base.ringMetric,
+    highContrast: partial.highContrast ?? base.highContrast,
+    themeMode: partial.themeMode ?? base.themeMode,
+    layout: partial.layout ?? base.layout,
+    showTray: partial.showTray ?? base.showTray,
+  };
+}
+
+/** `config` with `settings` applied; unknown pattern keys are ignored. */
+export function applySettings(config, settings) {
+  return {
+    ...config,
+    tickMs: settings.tickMs,
+    thresholds: { ...config.thresholds, ...settings.thresholds },
+    ringMetric: settings.ringMetric,
+    highContrast: settings.highContrast,
+    theme: { ...config.theme, mode: settings.themeMode },
+    layout: settings.layout,
+    showTray: settings.showTray,
+    patterns: config.patterns.map((p) => (p.key in settings.waste ? { ...p, waste: settings.waste[p.key] } : p)),
+    sounds: {
+      ...config.sounds,
+      ...Object.fromEntries(SOUND_LEVELS.map((l) => [l, { ...config.sounds?.[l], ...settings.sounds[l] }])),
+    },
+  };
+}
+
+const positive = (v) => typeof v === "number" && Number.isFinite(v) && v > 0;
+
+/** A field error: a catalog message key (see ./locales) and its params. */
+const fieldError = (key, params) => ({ key, params });
+
+/**
+ * Field errors for `settings`, keyed by field ("tickMs", "warn", "high",
+ * "critical", "sound.<level>", "ringMetric", "highContrast", "themeMode", "layout",
+ * "showTray") as `{ key, params }` for the settings panel to translate; an empty
+ * object means the settings are valid.
+ */
+export function validateSettings(settings) {
+  const errors = {};
+  const mustBePositive = fieldError("settings.error.positive");
+  const unknown = fieldError("settings.error.unknownOption");
+  const onOff = fieldError("settings.error.onOff");
+  if (!positive(settings.tickMs)) errors.tickMs = mustBePositive;
+  const { warn, high, critical } = settings.thresholds;
+  if (!positive(warn)) errors.warn = mustBePositive;
+  if (!positive(high)) errors.high = mustBePositive;
+  else if (positive(warn) && high <= warn) errors.high = fieldError("settings.error.greaterThan", { min: warn });
+  if (!positive(critical)) errors.critical = mustBePositive;
+  else if (positive(high) && critical <= high)
+    errors.critical = fieldError("settings.error.greaterThan", { min: high });
+  if (!RING_METRIC_KEYS.includes(settings.ringMetric)) errors.ringMetric = unknown;
+  if (typeof settings.highContrast !== "boolean") errors.highContrast = onOff;
+  if (!THEME_MODES.includes(settings.themeMode)) errors.themeMode = unknown;
+  if (!LAYOUTS.includes(settings.layout)) errors.layout = unknown;
+  if (typeof settings.showTray !== "boolean") errors.showTray = onOff;
+  for (const level of SOUND_LEVELS) {
+    const v = settings.sounds[level]?.volume;
+    if (!(typeof v === "number" && v >= 0 && v <= 1))
+      errors[`sound.${level}`] = fieldError("settings.error.volume", { min: 0, max: 1 });
+  }
+  return errors;
+}
+
+export function toPresetJSON(settings) {
+  return JSON.stringify({ schema: PRESET_SCHEMA, version: PRESET_SCHEMA_VERSION, settings }, null, 2);
+}
+
+const presetError = (message, key, params) => Object.assign(new Error(message), { key, params });
+
+/**
+ * Parse a preset (string or object) over `base` settings, so presets written
+ * for another pattern list or missing sections still load.
+ * Throws an Error describing the first problem found; its `key` and `params`
+ * name the catalog message to show (`params.reason` is the field error, for
+ * invalid settings). Unreadable JSON throws the parser's own error.
+ */
+export function parsePreset(input, base) {
+  const data = typeof input === "string" ? JSON.parse(input) : input;
+  if (!data || data.schema !== PRESET_SCHEMA)
+    throw presetError("Not a Wastemeter settings preset", "settings.error.notPreset");
+  if (data.version !== PRESET_SCHEMA_VERSION)
+    throw presetError(`Unsupported preset version: ${data.version}`, "settings.error.presetVersion", {
+      version: data.version,
+    });
+  const settings = mergeSettings(base, data.settings);
+  const [invalid] = Object.entries(validateSettings(settings));
+  if (invalid) {
+    const [field, reason] = invalid;
+    throw presetError(`Invalid preset (${field}: ${reason.key})`, "settings.error.invalidPreset", { field, reason });
+  }
+  return settings;
+}
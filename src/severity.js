@@ -0,0 +1,28 @@
+/**
+ * Severity
+ * --------
+ * How long the learner has been in an escalating pattern maps to a severity
+ * level, from "ok" (not escalating) through "mild" (below `warn`) to
+ * "critical". Thresholds are seconds in the current pattern; a pattern may
+ * override any of the global ones.
+ */
+
+export const SEVERITY_ORDER = ["ok", "mild", "warn", "high", "critical"];
+
+/** Whether a config pattern escalates at all (`waste` or `flag`). */
+export const escalates = (pattern) => !!(pattern && (pattern.waste || pattern.flag));
+
+/**
+ * Severity after `secondsInPattern` seconds. `pattern` is a config pattern
+ * (its `waste`/`flag` rules and threshold overrides apply) or a plain
+ * boolean "escalates" for ad-hoc checks.
+ */
+export function getSeverity(secondsInPattern, thresholds, pattern) {
+  const isFlagged = typeof pattern === "boolean" ? pattern : escalates(pattern);
+  if (!isFlagged) return "ok";
+  const t = typeof pattern === "object" && pattern.thresholds ? { ...thresholds, ...pattern.thresholds } : thresholds;
+  if (secondsInPattern >= t.critical) return "critical";
+  if (secondsInPattern >= t.high) return "high";
+  if (secondsInPattern >= t.warn) return "warn";
+  return "mild";
+}
@@ -0,0 +1,465 @@
+/**
+ * Signal sources
+ * --------------
+ * A signal source tells the Wastemeter which behavior pattern the learner is in
+ * right now. The overlay owns the clock: on every tick it calls `source.read()`
+ * and accrues session/pattern/waste time against the returned pattern key, so
+ * severity, feedback and logging behave identically regardless of where the
+ * labels come from.
+ *
+ * Contract (plain object):
+ *  • kind           – short identifier ("simulated", "scripted", "push", …)
+ *  • read()         – pattern key for the tick being accrued, or null when the
+ *                     source has no signal (nothing reported yet, or stale);
+ *                     the overlay then shows "signal lost" and accrues nothing
+ *  • reset()        – optional; rewind to the initial state
+ *  • start()/stop() – optional; open/close any underlying connection. Called
+ *                     by the overlay on mount/unmount and may run repeatedly.
+ *  • status()       – optional; connection state for display
+ */
+
+/**
+ * Seeded PRNG (mulberry32) – a drop-in for Math.random that yields the same
+ * sequence for the same seed, for reproducible simulations.
+ */
+export function createSeededRandom(seed = 1) {
+  let t = seed >>> 0;
+  return () => {
+    t = (t + 0x6d2b79f5) >>> 0;
+    let r = Math.imul(t ^ (t >>> 15), 1 | t);
+    r = (r + Math.imul(r ^ (r >>> 7), 61 | r)) ^ r;
+    return ((r ^ (r >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Named learner profiles for the simulator. Each is merged over
+ * `config.simulation` (weights and dwell per key, transition rows replaced).
+ */
+export const SIMULATION_PROFILES = {
+  focused: {
+    weights: { FOCUSED: 70, IDLING: 4, SOCIALIZING: 3, NON_LEARNING_CONTENT: 3 },
+    dwell: { FOCUSED: { min: 20, max: 60 } },
+  },
+  distractible: {
+    weights: { FOCUSED: 20, SOCIALIZING: 14, IDLING: 14, NON_LEARNING_CONTENT: 16, AWAY_FROM_SEAT: 6 },
+    dwell: { FOCUSED: { min: 4, max: 10 }, NON_LEARNING_CONTENT: { min: 15, max: 40 } },
+  },
+  cheater: {
+    weights: { FOCUSED: 30, CHEATING: 14, RUSHING: 10 },
+    transitions: { RUSHING: { CHEATING: 20, FOCUSED: 10 } },
+    dwell: { CHEATING: { min: 4, max: 12 } },
+  },
+};
+
+function mergeSimulation(base = {}, profile = {}) {
+  return {
+    weights: { ...base.weights, ...profile.weights },
+    transitions: { ...base.transitions, ...profile.transitions },
+    dwell: { ...base.dwell, ...profile.dwell },
+  };
+}
+
+/**
+ * Simulator driven by `config`:
+ *  • picks only from `config.patterns`
+ *  • Markov transitions: the next pattern is drawn from `simulation.weights`
+ *    with `simulation.transitions[current]` overriding individual entries
+ *    (patterns missing from both get weight 1)
+ *  • dwell per pattern drawn uniformly from `simulation.dwell[key]` or
+ *    `simulation.dwell.default` ({ min, max } seconds)
+ * `profile` names an entry of SIMULATION_PROFILES (or is a profile object);
+ * `seed` makes the run reproducible, including after reset().
+ */
+export function createSimulatedSource(config, { profile, seed, random } = {}) {
+  const sim = mergeSimulation(config.simulation, typeof profile === "string" ? SIMULATION_PROFILES[profile] : profile);
+  const keys = config.patterns.map((p) => p.key);
+  const makeRandom = () => random || (seed != null ? createSeededRandom(seed) : Math.random);
+  let rand = makeRandom();
+  let current = null;
+  let dwellLeft = 0;
+
+  const pickPattern = () => {
+    const row = { ...sim.weights, ...(current && sim.transitions[current]) };
+    const pool = keys.map((key) => ({ key, w: row[key] ?? 1 }));
+    const total = pool.reduce((sum, p) => sum + p.w, 0);
+    let r = rand() * total;
+    return pool.find((p) => (r -= p.w) < 0)?.key || keys[0];
+  };
+
+  const pickDwell = (key) => {
+    const { min = 2, max = 20 } = sim.dwell[key] || sim.dwell.default || {};
+    return Math.max(1, Math.round(min + rand() * (max - min)));
+  };
+
+  return {
+    kind: "simulated",
+    read() {
+      if (dwellLeft <= 0) {
+        current = pickPattern();
+        dwellLeft = pickDwell(current);
+      }
+      dwellLeft -= 1;
+      return current;
+    },
+    reset() {
+      rand = makeRandom();
+      current = null;
+      dwellLeft = 0;
+    },
+  };
+}
+
+/**
+ * Scripted / replay source.
+ * Plays back a fixed list of `{ pattern, durationSec }` steps, one tick per
+ * second of duration. With `loop: false` the last pattern is held once the
+ * script runs out.
+ */
+export function createScriptedSource(steps, { loop = true } = {}) {
+  const script = (steps || []).filter((s) => s && s.pattern && s.durationSec > 0);
+  let stepIdx = 0;
+  let elapsed = 0;
+
+  return {
+    kind: "scripted",
+    read() {
+      if (!script.length) return null;
+      if (stepIdx >= script.length) {
+        if (!loop) return script[script.length - 1].pattern;
+        stepIdx = 0;
+      }
+      const step = script[stepIdx];
+      elapsed += 1;
+      if (elapsed >= step.durationSec) {
+        stepIdx += 1;
+        elapsed = 0;
+      }
+      return step.pattern;
+    },
+    reset() {
+      stepIdx = 0;
+      elapsed = 0;
+    },
+  };
+}
+
+/**
+ * Push source for host code.
+ * The host reports classifier output as it arrives:
+ *   source.emit({ pattern: "IDLING", ts: Date.now() })
+ * The latest event wins; events older than the last accepted one are ignored.
+ */
+export function createPushSource({ initial = null } = {}) {
+  let current = initial;
+  let lastTs = -Infinity;
+
+  return {
+    kind: "push",
+    read() {
+      return current;
+    },
+    emit(event) {
+      const e = typeof event === "string" ? { pattern: event } : event;
+      if (!e || !e.pattern) return;
+      const ts = typeof e.ts === "number" ? e.ts : Date.now();
+      if (ts < lastTs) return;
+      lastTs = ts;
+      current = e.pattern;
+    },
+    reset() {
+      current = initial;
+      lastTs = -Infinity;
+    },
+  };
+}
+
+/**
+ * Network source (WebSocket or Server-Sent Events).
+ * Reads JSON messages from an external classifier process:
+ *
+ *   { "type": "pattern", "key": "IDLING", "ts": 1730000000000 }
+ *   { "type": "heartbeat", "ts": 1730000000000 }
+ *
+ *  • `type` defaults to "pattern" when omitted; heartbeats keep the signal
+ *    alive without changing the pattern.
+ *  • `key` is mapped through `keyMap` first, then normalized to the
+ *    `config.patterns` key style ("away from seat" → "AWAY_FROM_SEAT").
+ *  • `ts` (ms epoch) is optional; out-of-order messages are dropped.
+ *
+ * If no message arrives for `staleAfterTicks` reads the source reports no
+ * signal. Dropped connections are retried with exponential backoff.
+ */
+export function createNetworkSource({
+  url,
+  transport = url && /^wss?:/.test(url) ? "ws" : "sse",
+  keyMap = {},
+  staleAfterTicks = 5,
+  backoff = { initialMs: 500, maxMs: 15000 },
+} = {}) {
+  let current = null;
+  let lastTs = -Infinity;
+  let ticksSinceMessage = Infinity;
+  let conn = null;
+  let state = "closed";
+  let attempt = 0;
+  let retryTimer = null;
+  let stopped = true;
+
+  const normalizeKey = (key) =>
+    keyMap[key] ||
+    String(key)
+      .trim()
+      .toUpperCase()
+      .replace(/[\s-]+/g, "_");
+
+  const onMessage = (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(raw);
+    } catch {
+      return;
+    }
+    if (!msg || typeof msg !== "object") return;
+    const ts = typeof msg.ts === "number" ? msg.ts : Date.now();
+    if (ts < lastTs) return;
+    const type = msg.type || "pattern";
+    if (type === "pattern") {
+      if (msg.key == null) return;
+      current = normalizeKey(msg.key);
+    } else if (type !== "heartbeat") {
+      return;
+    }
+    lastTs = ts;
+    ticksSinceMessage = 0;
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    state = "reconnecting";
+    const delay = Math.min(backoff.maxMs, backoff.initialMs * 2 ** attempt);
+    attempt += 1;
+    retryTimer = setTimeout(connect, delay);
+  };
+
+  const connect = () => {
+    retryTimer = null;
+    if (stopped) return;
+    state = "connecting";
+    try {
+      if (transport === "ws") {
+        conn = new WebSocket(url);
+        conn.onopen = () => {
+          state = "open";
+          attempt = 0;
+        };
+        conn.onmessage = (e) => onMessage(e.data);
+        conn.onclose = () => {
+          conn = null;
+          scheduleReconnect();
+        };
+      } else {
+        conn = new EventSource(url);
+        conn.onopen = () => {
+          state = "open";
+          attempt = 0;
+        };
+        conn.onmessage = (e) => onMessage(e.data);
+        // EventSource retries on its own with a fixed delay; close it and use our backoff instead
+        conn.onerror = () => {
+          conn?.close();
+          conn = null;
+          scheduleReconnect();
+        };
+      }
+    } catch {
+      conn = null;
+      scheduleReconnect();
+    }
+  };
+
+  return {
+    kind: "network",
+    read() {
+      ticksSinceMessage += 1;
+      return ticksSinceMessage > staleAfterTicks ? null : current;
+    },
+    start() {
+      if (!stopped) return;
+      stopped = false;
+      attempt = 0;
+      connect();
+    },
+    stop() {
+      stopped = true;
+      clearTimeout(retryTimer);
+      retryTimer = null;
+      if (conn) {
+        conn.onclose = null;
+        conn.onerror = null;
+        conn.close();
+        conn = null;
+      }
+      state = "closed";
+    },
+    status() {
+      return state;
+    },
+    reset() {
+      current = null;
+      lastTs = -Infinity;
+      ticksSinceMessage = Infinity;
+    },
+  };
+}
+
+/**
+ * Browser activity source — real signals without a classifier:
+ *  • tab hidden (Page Visibility API)        → `patterns.hidden`
+ *  • window blurred (another app focused)    → `patterns.blur`
+ *  • no keyboard/mouse/scroll/touch input
+ *    for `idleAfterSec`                      → `patterns.idle`
+ *  • otherwise                               → `patterns.active`
+ * checked in that order. Blur caused by focusing an iframe on the page (an
+ * embedded lesson video, say) does not count. Listeners are attached by
+ * start() and removed by stop().
+ */
+export function createBrowserActivitySource({ idleAfterSec = 30, patterns = {}, now = () => Date.now() } = {}) {
+  const keys = {
+    hidden: "NON_LEARNING_CONTENT",
+    blur: "NON_LEARNING_CONTENT",
+    idle: "IDLING",
+    active: "FOCUSED",
+    ...patterns,
+  };
+  const activityEvents = ["keydown", "pointerdown", "pointermove", "wheel", "scroll", "touchstart"];
+  let lastActivity = now();
+  let hidden = false;
+  let blurred = false;
+  let listening = false;
+
+  const onActivity = () => {
+    lastActivity = now();
+  };
+  const onVisibility = () => {
+    hidden = document.visibilityState === "hidden";
+    if (!hidden) onActivity();
+  };
+  const onBlur = () => {
+    // Focus moved into an iframe on this page: still on the lesson. activeElement
+    // only points at the iframe once the blur has been dispatched.
+    setTimeout(() => {
+      blurred = !document.hasFocus() && document.activeElement?.tagName !== "IFRAME";
+    }, 0);
+  };
+  const onFocus = () => {
+    blurred = false;
+    onActivity();
+  };
+
+  return {
+    kind: "browser",
+    read() {
+      if (hidden) return keys.hidden;
+      if (blurred) return keys.blur;
+      if (now() - lastActivity >= idleAfterSec * 1000) return keys.idle;
+      return keys.active;
+    },
+    start() {
+      if (listening || typeof window === "undefined") return;
+      listening = true;
+      hidden = document.visibilityState === "hidden";
+      blurred = typeof document.hasFocus === "function" ? !document.hasFocus() : false;
+      lastActivity = now();
+      activityEvents.forEach((e) => window.addEventListener(e, onActivity, { passive: true, capture: true }));
+      document.addEventListener("visibilitychange", onVisibility);
+      window.addEventListener("blur", onBlur);
+      window.addEventListener("focus", onFocus);
+    },
+    stop() {
+      if (!listening) return;
+      listening = false;
+      activityEvents.forEach((e) => window.removeEventListener(e, onActivity, { capture: true }));
+      document.removeEventListener("visibilitychange", onVisibility);
+      window.removeEventListener("blur", onBlur);
+      window.removeEventListener("focus", onFocus);
+    },
+    reset() {
+      lastActivity = now();
+    },
+  };
+}
+
+/**
+ * Combine several sources into one (e.g. browser activity + a classifier).
+ * Every source is read each tick; of the non-null keys, the one earliest in
+ * `priority` wins, and keys not listed rank after all listed ones in source
+ * order. Only when every source reads null is the signal lost.
+ *
+ *   createCombinedSource([classifier, createBrowserActivitySource()], {
+ *     priority: ["CHEATING", "NON_LEARNING_CONTENT", "AWAY_FROM_SEAT", "IDLING"],
+ *   })
+ */
+export function createCombinedSource(sources, { priority = [] } = {}) {
+  const rank = (key, i) => {
+    const idx = priority.indexOf(key);
+    return idx === -1 ? priority.length + i : idx;
+  };
+
+  return {
+    kind: "combined",
+    read() {
+      let best = null;
+      let bestRank = Infinity;
+      sources.forEach((source, i) => {
+        const key = source.read();
+        if (key != null && rank(key, i) < bestRank) {
+          best = key;
+          bestRank = rank(key, i);
+        }
+      });
+      return best;
+    },
+    start() {
+      sources.forEach((s) => s.start?.());
+    },
+    stop() {
+      sources.forEach((s) => s.stop?.());
+    },
+    status() {
+      return sources.map((s) => s.status?.()).find((st) => st != null) ?? null;
+    },
+    reset() {
+      sources.forEach((s) => s.reset?.());
+    },
+  };
+}
+
+/**
+ * Replay source for an exported session (see parseSession in ./sessionExport.js).
+ * Expands the logged segments back into one pattern key per tick; signal-lost
+ * segments replay as null reads and paused segments are skipped, matching what
+ * was accrued live. `length` is the total number of ticks.
+ */
+export function createReplaySource(session) {
+  const tickSec = (session.config.tickMs || 1000) / 1000;
+  const keys = [];
+  session.segments.forEach((seg) => {
+    if (seg.pattern === "PAUSED") return;
+    const key = seg.pattern === "SIGNAL_LOST" ? null : seg.pattern;
+    const ticks = key == null ? Math.round(seg.durationSec / tickSec) : seg.durationSec;
+    for (let i = 0; i < ticks; i++) keys.push(key);
+  });
+  let idx = 0;
+
+  return {
+    kind: "replay",
+    length: keys.length,
+    read() {
+      return idx < keys.length ? keys[idx++] : null;
+    },
+    reset() {
+      idx = 0;
+    },
+  };
+}
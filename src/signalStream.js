@@ -0,0 +1,65 @@
+/**
+ * Signal stream state
+ * -------------------
+ * Pure accrual logic behind the overlay: given the previous state and the
+ * pattern key read from a signal source for one tick, compute the next state.
+ * Being pure, the same sequence of keys always yields the same state, which is
+ * what lets replay fast-forward to any point in a session.
+ */
+
+export function initialStreamState(config) {
+  return {
+    pattern: config.patterns[0], // FOCUSED
+    secondsInPattern: 0,
+    sessionSec: 0,
+    wastedSec: 0,
+    signalLost: false,
+    status: null,
+    // Per-pattern totals and consecutive wasted seconds (for the session report)
+    patternSec: {},
+    wasteStreakSec: 0,
+    longestWasteStreakSec: 0,
+  };
+}
+
+/**
+ * Share of a tick in this pattern that counts as wasted time: `weight` (0–1,
+ * default 1) for waste patterns, 0 otherwise. Flag-only patterns escalate but
+ * never count time.
+ */
+export const wasteWeight = (pattern) => (pattern.waste ? Math.max(0, Math.min(1, pattern.weight ?? 1)) : 0);
+
+/**
+ * Accrue one tick. A null `key` means "signal lost": nothing is accrued.
+ * `status` is the source's connection status, carried through for display.
+ */
+export function advanceStream(prev, key, config, status = null) {
+  if (key == null) {
+    return prev.signalLost && prev.status === status ? prev : { ...prev, signalLost: true, status };
+  }
+  let { pattern, secondsInPattern, sessionSec, wastedSec, wasteStreakSec, longestWasteStreakSec } = prev;
+  // Always take the config's pattern object so rule changes apply mid-pattern
+  const next = config.patterns.find((p) => p.key === key) || pattern;
+  if (next.key !== pattern.key) secondsInPattern = 0;
+  pattern = next;
+
+  const weight = wasteWeight(pattern);
+  sessionSec += 1;
+  secondsInPattern += 1;
+  wastedSec += weight;
+  wasteStreakSec = weight > 0 ? wasteStreakSec + 1 : 0;
+  longestWasteStreakSec = Math.max(longestWasteStreakSec, wasteStreakSec);
+  const patternSec = { ...prev.patternSec, [pattern.key]: (prev.patternSec[pattern.key] || 0) + 1 };
+
+  return {
+    pattern,
+    secondsInPattern,
+    sessionSec,
+    wastedSec,
+    signalLost: false,
+    status,
+    patternSec,
+    wasteStreakSec,
+    longestWasteStreakSec,
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Theme
+ * -----
+ * The overlay's look, as Tailwind class tokens per severity level
+ * (`bg`, `border`, `glow`, `track`, `bar`, `badge`) in a dark and a light
+ * palette. Hosts override any token through `config.theme`:
+ *
+ *   theme: {
+ *     mode: "dark" | "light" | "auto",        // auto follows prefers-color-scheme
+ *     severity: { critical: { glow: "" } },  // every mode
+ *     light: { ok: { bg: "bg-sky-50/95" } }, // one mode only
+ *   }
+ *
+ * Text, hairlines and panel backgrounds use the `ink` and `surface` colors
+ * (see tailwind.config.js), CSS variables that each mode sets on the
+ * overlay root. High contrast ignores overrides and is always dark.
+ */
+
+export const THEME_MODES = ["dark", "light", "auto"];
+
+/** Full card, a compact pill (ring and % only), or a bar docked to the top edge. */
+export const LAYOUTS = ["card", "pill", "edge"];
+
+const SURFACES = {
+  dark: "[--wm-ink:255_255_255] [--wm-surface:23_23_23]",
+  light: "[--wm-ink:23_23_23] [--wm-surface:255_255_255]",
+};
+
+const severityStyles = {
+  ok: {
+    bg: "bg-emerald-600/95",
+    border: "ring-emerald-400/60",
+    glow: "shadow-[0_0_30px_rgba(16,185,129,0.35)]",
+    track: "stroke-emerald-900/30",
+    bar: "stroke-emerald-300",
+    badge: "bg-emerald-400/20 text-emerald-100 border border-emerald-300/30",
+  },
+  mild: {
+    bg: "bg-amber-500/95",
+    border: "ring-amber-300/60",
+    glow: "shadow-[0_0_30px_rgba(245,158,11,0.35)]",
+    track: "stroke-amber-900/30",
+    bar: "stroke-amber-200",
+    badge: "bg-amber-400/20 text-amber-100 border border-amber-300/30",
+  },
+  warn: {
+    bg: "bg-orange-500/95",
+    border: "ring-orange-300/60",
+    glow: "shadow-[0_0_36px_rgba(249,115,22,0.45)]",
+    track: "stroke-orange-900/30",
+    bar: "stroke-orange-200",
+    badge: "bg-orange-400/20 text-orange-100 border border-orange-300/30",
+  },
+  high: {
+    bg: "bg-red-600/95",
+    border: "ring-red-300/70",
+    glow: "shadow-[0_0_44px_rgba(220,38,38,0.55)]",
+    track: "stroke-red-900/40",
+    bar: "stroke-red-200",
+    badge: "bg-red-500/20 text-red-100 border border-red-300/30",
+  },
+  critical: {
+    bg: "bg-red-700/95",
+    border: "ring-red-200",
+    glow: "shadow-[0_0_60px_rgba(185,28,28,0.7)]",
+    track: "stroke-red-950/40",
+    bar: "stroke-red-100",
+    badge: "bg-red-600/25 text-red-100 border border-red-200/30",
+  },
+  lost: {
+    bg: "bg-slate-600/95",
+    border: "ring-slate-300/50",
+    glow: "shadow-[0_0_24px_rgba(100,116,139,0.35)]",
+    track: "stroke-slate-900/30",
+    bar: "stroke-slate-300",
+    badge: "bg-slate-400/20 text-slate-100 border border-slate-300/30",
+  },
+  // Color channel switched off: one palette for every severity
+  neutral: {
+    bg: "bg-neutral-800/95",
+    border: "ring-white/20",
+    glow: "",
+    track: "stroke-white/10",
+    bar: "stroke-white/80",
+  },
+};
+
+// Pale cards with dark ink; severity still reads from the ring, glow and bar
+const lightSeverityStyles = {
+  ok: {
+    bg: "bg-emerald-50/95",
+    border: "ring-emerald-500/40",
+    glow: "shadow-[0_0_24px_rgba(16,185,129,0.2)]",
+    track: "stroke-emerald-900/10",
+    bar: "stroke-emerald-500",
+    badge: "bg-emerald-100 text-emerald-900 border border-emerald-300",
+  },
+  mild: {
+    bg: "bg-amber-50/95",
+    border: "ring-amber-500/50",
+    glow: "shadow-[0_0_24px_rgba(245,158,11,0.25)]",
+    track: "stroke-amber-900/10",
+    bar: "stroke-amber-500",
+    badge: "bg-amber-100 text-amber-900 border border-amber-300",
+  },
+  warn: {
+    bg: "bg-orange-50/95",
+    border: "ring-orange-500/60",
+    glow: "shadow-[0_0_30px_rgba(249,115,22,0.35)]",
+    track: "stroke-orange-900/10",
+    bar: "stroke-orange-500",
+    badge: "bg-orange-100 text-orange-900 border border-orange-300",
+  },
+  high: {
+    bg: "bg-red-50/95",
+    border: "ring-red-500/70",
+    glow: "shadow-[0_0_40px_rgba(220,38,38,0.45)]",
+    track: "stroke-red-900/10",
+    bar: "stroke-red-600",
+    badge: "bg-red-100 text-red-900 border border-red-300",
+  },
+  critical: {
+    bg: "bg-red-100/95",
+    border: "ring-red-600",
+    glow: "shadow-[0_0_56px_rgba(185,28,28,0.6)]",
+    track: "stroke-red-900/15",
+    bar: "stroke-red-700",
+    badge: "bg-red-200 text-red-950 border border-red-400",
+  },
+  lost: {
+    bg: "bg-slate-100/95",
+    border: "ring-slate-400/50",
+    glow: "shadow-[0_0_20px_rgba(100,116,139,0.2)]",
+    track: "stroke-slate-900/10",
+    bar: "stroke-slate-500",
+    badge: "bg-slate-200 text-slate-900 border border-slate-300",
+  },
+  neutral: {
+    bg: "bg-white/95",
+    border: "ring-neutral-900/15",
+    glow: "",
+    track: "stroke-neutral-900/10",
+    bar: "stroke-neutral-700",
+  },
+};
+
+// High-contrast palette (settings.highContrast, or the OS asks for more contrast):
+// black and white only, with severity shown by ring weight and a dashed outline
+// instead of hue (the badge spells it out too)
+const contrastStyles = Object.fromEntries(
+  Object.entries({
+    ok: "ring-2",
+    mild: "ring-4",
+    warn: "ring-4 outline-dashed outline-2 outline-offset-4 outline-white",
+    high: "ring-8",
+    critical: "ring-8 outline-dashed outline-4 outline-offset-4 outline-white",
+    lost: "ring-2 outline-dotted outline-2 outline-offset-4 outline-white",
+    neutral: "ring-2",
+  }).map(([level, ring]) => [
+    level,
+    {
+      bg: "bg-black",
+      ring,
+      border: "ring-white",
+      glow: "",
+      track: "stroke-white/25",
+      bar: "stroke-white",
+      badge: "bg-black text-white border border-white",
+    },
+  ])
+);
+
+export const PALETTES = { dark: severityStyles, light: lightSeverityStyles };
+
+/**
+ * `{ mode, surface, palette }` for `theme` (config.theme): the resolved mode
+ * ("dark" or "light"), the classes that set its ink and surface colors, and
+ * the per-level tokens with the host's overrides applied. `dark` is whether
+ * the OS prefers a dark color scheme (for mode "auto").
+ */
+export function resolveTheme(theme = {}, { dark = false, highContrast = false } = {}) {
+  if (highContrast) return { mode: "dark", surface: SURFACES.dark, palette: contrastStyles };
+  const mode = theme.mode === "light" || (theme.mode === "auto" && !dark) ? "light" : "dark";
+  const palette = Object.fromEntries(
+    Object.entries(PALETTES[mode]).map(([level, tokens]) => [
+      level,
+      { ...tokens, ...theme.severity?.[level], ...theme[mode]?.[level] },
+    ])
+  );
+  return { mode, surface: SURFACES[mode], palette };
+}
@@ -1,6 +1,15 @@
 /** @type {import('tailwindcss').Config} */
 export default {
   content: ["./index.html", "./src/**/*.{js,ts,jsx,tsx}"],
-  theme: { extend: {} },
+  theme: {
+    extend: {
+      // Overlay text and panel colors, set per light/dark mode (see src/theme.js);
+      // outside the overlay they fall back to the dark mode's
+      colors: {
+        ink: "rgb(var(--wm-ink, 255 255 255) / <alpha-value>)",
+        surface: "rgb(var(--wm-surface, 23 23 23) / <alpha-value>)",
+      },
+    },
+  },
   plugins: [],
 };
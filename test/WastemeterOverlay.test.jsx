@@ -0,0 +1,308 @@
+// @vitest-environment jsdom
+import React, { createRef } from "react";
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { act, fireEvent, render, screen } from "@testing-library/react";
+import { DEFAULT_CONFIG, WastemeterOverlay } from "../src/WastemeterOverlay";
+import { SessionReplay } from "../src/SessionReplay";
+import { createScriptedSource, createSimulatedSource } from "../src/signalSources";
+import { serializeSession } from "../src/sessionExport";
+import { logTick } from "../src/sessionLog";
+import { playSound } from "../src/audio";
+import { deleteUserData } from "../src/persistence";
+
+vi.mock("../src/audio", () => ({ playSound: vi.fn(), unlockAudioOnGesture: () => () => {} }));
+vi.mock("../src/signalSources", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, createSimulatedSource: vi.fn(actual.createSimulatedSource) };
+});
+vi.mock("../src/persistence", async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, deleteUserData: vi.fn(actual.deleteUserData) };
+});
+
+/** Levels whose sound played, in order (the settings layer adds `clip`, so match on tones). */
+const played = () =>
+  playSound.mock.calls.map(([sound]) =>
+    Object.keys(DEFAULT_CONFIG.sounds).find((level) => DEFAULT_CONFIG.sounds[level].tones === sound.tones)
+  );
+
+/** Advance the overlay's interval clock by `sec` ticks, one at a time. */
+function tick(sec = 1) {
+  for (let i = 0; i < sec; i++) act(() => vi.advanceTimersByTime(DEFAULT_CONFIG.tickMs));
+}
+
+/** Render the overlay on a scripted source; the learner consents unless `consent` is false. */
+function renderOverlay(steps, props = {}, { consent = true, anonymous = false } = {}) {
+  const ref = createRef();
+  const source = createScriptedSource(steps, { loop: false });
+  render(<WastemeterOverlay ref={ref} source={source} persist={false} locale="en" {...props} />);
+  if (anonymous) fireEvent.click(screen.getByRole("checkbox", { name: "Anonymous mode" }));
+  if (consent) fireEvent.click(screen.getByRole("button", { name: "Agree and start" }));
+  return ref;
+}
+
+beforeEach(() => vi.useFakeTimers());
+afterEach(() => {
+  vi.useRealTimers();
+  vi.clearAllMocks();
+  localStorage.clear();
+});
+
+describe("WastemeterOverlay", () => {
+  it("escalates through the severity levels, alerting once per level", () => {
+    const onSeverityChange = vi.fn();
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }], { onSeverityChange });
+
+    const severity = () => ref.current.getSnapshot().current.severity;
+
+    tick(1);
+    expect(severity()).toBe("mild");
+    tick(9);
+    expect(severity()).toBe("warn");
+    tick(15);
+    expect(severity()).toBe("high");
+    tick(20);
+    expect(severity()).toBe("critical");
+    expect(screen.getByLabelText("Wastemeter focus overlay").textContent).toContain("CRITICAL");
+
+    expect(onSeverityChange.mock.calls).toEqual([
+      ["mild", "ok"],
+      ["warn", "mild"],
+      ["high", "warn"],
+      ["critical", "high"],
+    ]);
+    expect(played()).toEqual(["mild", "warn", "high", "critical"]);
+  });
+
+  it("stays quiet while snoozed and resumes alerts when the snooze expires", () => {
+    const onSnooze = vi.fn();
+    const ref = renderOverlay(
+      [
+        { pattern: "FOCUSED", durationSec: 2 },
+        { pattern: "IDLING", durationSec: 600 },
+      ],
+      { onSnooze }
+    );
+    tick(2);
+    // Snooze half-way between ticks so it expires between them too (at 62.5 s)
+    act(() => vi.advanceTimersByTime(500));
+    fireEvent.click(screen.getByRole("button", { name: "Snooze" }));
+    fireEvent.click(screen.getByRole("menuitem", { name: "1 minute" }));
+    expect(onSnooze).toHaveBeenLastCalledWith(expect.objectContaining({ mode: "timed", minutes: 1 }));
+    act(() => vi.advanceTimersByTime(500));
+
+    tick(54);
+    expect(ref.current.getSnapshot().current).toMatchObject({ severity: "critical", snoozed: true });
+    expect(screen.getByText("Snoozed · 0:06")).toBeTruthy();
+    expect(playSound).not.toHaveBeenCalled();
+
+    tick(10);
+    expect(onSnooze).toHaveBeenLastCalledWith(null);
+    expect(playSound).not.toHaveBeenCalled();
+    expect(ref.current.getSnapshot().current.snoozed).toBe(false);
+    expect(screen.getByRole("button", { name: "Snooze" })).toBeTruthy();
+
+    // Critical was reached (47 s) and reminded (62 s) while snoozed; the next reminder sounds
+    tick(15);
+    expect(played()).toEqual(["critical"]);
+    const [snooze] = ref.current.getSnapshot().snoozes;
+    expect(snooze).toMatchObject({ mode: "timed", minutes: 1 });
+    expect(Date.parse(snooze.end) - Date.parse(snooze.start)).toBe(60_000);
+  });
+
+  it("accrues nothing while paused and logs the pause", () => {
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }]);
+    tick(5);
+    fireEvent.click(screen.getByRole("button", { name: "Pause" }));
+    tick(20);
+
+    const paused = ref.current.getSnapshot();
+    expect(paused.session).toMatchObject({ state: "paused", totalSec: 5 });
+    expect(paused.current.secondsInPattern).toBe(5);
+    expect(screen.getByText(/\(paused\)/)).toBeTruthy();
+    expect(played()).toEqual(["mild"]); // alerted before pausing
+
+    fireEvent.click(screen.getByRole("button", { name: "Resume" }));
+    tick(5);
+    const resumed = ref.current.getSnapshot();
+    expect(resumed.session.totalSec).toBe(10);
+    expect(resumed.current.secondsInPattern).toBe(10);
+    expect(resumed.segments.map((s) => [s.pattern, s.durationSec])).toEqual([
+      ["IDLING", 5],
+      ["PAUSED", 20],
+      ["IDLING", 5],
+    ]);
+  });
+
+  it("keeps the built-in simulator when the host passes its config inline", () => {
+    const { rerender } = render(<WastemeterOverlay config={{ ...DEFAULT_CONFIG }} persist={false} locale="en" />);
+    fireEvent.click(screen.getByRole("button", { name: "Agree and start" }));
+    tick(2);
+    rerender(<WastemeterOverlay config={{ ...DEFAULT_CONFIG }} persist={false} locale="en" />);
+    rerender(
+      <WastemeterOverlay config={{ ...DEFAULT_CONFIG, tickMs: DEFAULT_CONFIG.tickMs }} persist={false} locale="en" />
+    );
+    expect(createSimulatedSource).toHaveBeenCalledTimes(1);
+  });
+
+  it("records nothing until the learner consents", () => {
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }], {}, { consent: false });
+    tick(5);
+    expect(ref.current.getSnapshot().session.totalSec).toBe(0);
+    expect(ref.current.start()).toBe(false);
+
+    fireEvent.click(screen.getByRole("button", { name: "Not now" }));
+    expect(screen.getByText("Tracking is off. Nothing is being recorded.")).toBeTruthy();
+    fireEvent.click(screen.getByRole("button", { name: "Review" }));
+    fireEvent.click(screen.getByRole("button", { name: "Agree and start" }));
+    tick(3);
+    expect(ref.current.getSnapshot().session.totalSec).toBe(3);
+  });
+
+  it("ignores the page-wide shortcuts while the consent gate is showing", () => {
+    const onSnooze = vi.fn();
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }], { onSnooze }, { consent: false });
+    const shortcut = (code) => fireEvent.keyDown(window, { code, altKey: true, shiftKey: true });
+    shortcut("KeyS");
+    shortcut("KeyM");
+    shortcut("KeyP");
+    expect(onSnooze).not.toHaveBeenCalled();
+    expect(ref.current.getSnapshot().current.snoozed).toBe(false);
+    expect(screen.queryByText("Sounds muted")).toBeNull();
+
+    fireEvent.click(screen.getByRole("button", { name: "Agree and start" }));
+    shortcut("KeyS");
+    expect(onSnooze).toHaveBeenCalledWith(expect.objectContaining({ mode: "timed", minutes: 5 }));
+  });
+
+  it("starts a fresh session when browser storage is blocked", async () => {
+    // Sandboxed iframes throw from indexedDB.open instead of failing the request
+    vi.stubGlobal("indexedDB", {
+      open: () => {
+        throw new DOMException("The operation is insecure.", "SecurityError");
+      },
+    });
+    const ref = renderOverlay([{ pattern: "FOCUSED", durationSec: 600 }], { persist: true, userId: "learner-1" });
+    await act(async () => {});
+    tick(3);
+    expect(ref.current.getSnapshot().session.totalSec).toBe(3);
+    vi.unstubAllGlobals();
+  });
+
+  it("keeps the session and says so when deleting the learner's data fails", async () => {
+    deleteUserData.mockRejectedValueOnce(new DOMException("The transaction was aborted.", "AbortError"));
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }]);
+    tick(3);
+
+    let deleted;
+    await act(async () => {
+      deleted = await ref.current.deleteData();
+    });
+    expect(deleted).toBe(false);
+    expect(ref.current.getSnapshot().session.totalSec).toBe(3);
+    expect(screen.getByRole("status").textContent).toBe("Your data could not be deleted. Please try again.");
+    expect(screen.queryByRole("button", { name: "Agree and start" })).toBeNull();
+
+    await act(async () => {
+      deleted = await ref.current.deleteData();
+    });
+    expect(deleted).toBe(true);
+    expect(screen.getByRole("status").textContent).toBe("All your Wastemeter data was deleted");
+    expect(screen.getByRole("button", { name: "Agree and start" })).toBeTruthy();
+  });
+
+  it("keeps anonymous sessions free of timestamps and stores nothing", () => {
+    const onSessionEnd = vi.fn();
+    const onSnooze = vi.fn();
+    const ref = renderOverlay(
+      [
+        { pattern: "FOCUSED", durationSec: 3 },
+        { pattern: "IDLING", durationSec: 600 },
+      ],
+      { onSessionEnd, onSnooze, persist: true, userId: "learner-1" },
+      { anonymous: true }
+    );
+    tick(5);
+    const snapshot = ref.current.getSnapshot();
+    expect(snapshot).toMatchObject({ anonymous: true, exportedAt: null });
+    expect(snapshot.session).toMatchObject({ startedAt: null, endedAt: null });
+    expect(snapshot.segments.map((s) => [s.pattern, s.startSec, s.durationSec])).toEqual([
+      ["FOCUSED", 1, 3],
+      ["IDLING", 4, 2],
+    ]);
+
+    ref.current.snooze(1);
+    expect(onSnooze).toHaveBeenLastCalledWith({ mode: "timed", minutes: 1 });
+    tick(2);
+    fireEvent.click(screen.getByRole("button", { name: "End session" }));
+
+    expect(onSessionEnd).toHaveBeenCalledTimes(1);
+    const [session] = onSessionEnd.mock.calls[0];
+    expect(session).toMatchObject({ anonymous: true, session: { state: "ended", startedAt: null, endedAt: null } });
+    expect(session.segments.every((s) => "startSec" in s && "endSec" in s && !("start" in s))).toBe(true);
+    expect(session.snoozes).toEqual([expect.objectContaining({ startSec: 5, endSec: 7, mode: "timed" })]);
+    expect(JSON.stringify(session)).not.toMatch(/\d{4}-\d\d-\d\dT/);
+    expect(localStorage.length).toBe(0);
+  });
+
+  it("minimizes to a pill showing the ring and keeps tracking", () => {
+    const ref = renderOverlay([{ pattern: "IDLING", durationSec: 600 }]);
+    tick(2);
+    fireEvent.click(screen.getByTitle("Minimize"));
+    const pill = screen.getByRole("region", { name: "Wastemeter focus overlay" });
+    expect(pill.textContent).toBe("100%");
+    expect(screen.queryByRole("button", { name: "Pause" })).toBeNull();
+
+    tick(3);
+    expect(ref.current.getSnapshot().session.totalSec).toBe(5);
+    fireEvent.click(screen.getByTitle("Expand"));
+    expect(screen.getByRole("button", { name: "Pause" })).toBeTruthy();
+  });
+
+  it("hides the summary tray until it is shown again", () => {
+    renderOverlay([{ pattern: "FOCUSED", durationSec: 600 }]);
+    const tray = screen.getByText("Session Summary (Live)").closest(".fixed");
+    fireEvent.click(screen.getByRole("button", { name: "Hide summary" }));
+    expect(tray.hidden).toBe(true);
+    fireEvent.click(screen.getByTitle("Show session summary"));
+    expect(tray.hidden).toBe(false);
+  });
+
+  it("lists the patterns whose own thresholds the settings panel leaves alone", () => {
+    renderOverlay([{ pattern: "FOCUSED", durationSec: 600 }]);
+    fireEvent.click(screen.getByTitle("Settings"));
+    expect(screen.getByRole("dialog", { name: "Settings" }).textContent).toContain(
+      "Own thresholds, not changed here: Eating, Rushing, and Cheating"
+    );
+  });
+});
+
+describe("SessionReplay", () => {
+  // 20 s of idling, as exported at the end of a session
+  let segments = [];
+  for (let sec = 0; sec < 20; sec++) {
+    segments = logTick(segments, { pattern: "IDLING", wasted: true, severity: "mild", ts: sec * 1000 });
+  }
+  const session = serializeSession({
+    config: DEFAULT_CONFIG,
+    stream: { sessionSec: 20, wastedSec: 20, patternSec: { IDLING: 20 }, longestWasteStreakSec: 20 },
+    segments,
+    snoozes: [],
+    startedAt: 0,
+    state: "ended",
+  });
+
+  it("plays the session at the chosen speed, with controls in the learner's language", () => {
+    render(<SessionReplay session={session} locale="es" onExit={() => {}} />);
+    const scrubber = screen.getByRole("slider", { name: "Posición de la repetición" });
+
+    fireEvent.click(screen.getByRole("button", { name: "4×" }));
+    fireEvent.click(screen.getByRole("button", { name: "Reproducir la repetición" }));
+    act(() => vi.advanceTimersByTime(5 * (DEFAULT_CONFIG.tickMs / 4)));
+    expect(scrubber.value).toBe("5");
+
+    fireEvent.click(screen.getByRole("button", { name: "Pausar la repetición" }));
+    act(() => vi.advanceTimersByTime(5 * DEFAULT_CONFIG.tickMs));
+    expect(scrubber.value).toBe("5");
+  });
+});
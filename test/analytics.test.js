@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { computeTrends } from "../src/analytics";
+import { closeInterval, logTick, openInterval } from "../src/sessionLog";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = (sec) => T0 + sec * 1000;
+
+// 50 s focused, 20 s idling, a 30 s pause, then 40 s focused across two lesson sections
+let segments = [];
+const log = (fromSec, toSec, pattern, context) => {
+  for (let sec = fromSec; sec < toSec; sec++) {
+    const idling = pattern === "IDLING";
+    segments = logTick(segments, { pattern, wasted: idling, severity: idling ? "mild" : "ok", ts: at(sec), context });
+  }
+};
+log(0, 50, "FOCUSED");
+log(50, 70, "IDLING");
+segments = closeInterval(openInterval(segments, "PAUSED", at(70)), at(100));
+log(100, 130, "FOCUSED", { section: "intro" });
+log(130, 140, "FOCUSED", { section: "video" });
+
+describe("computeTrends", () => {
+  const trends = computeTrends(segments, DEFAULT_CONFIG, [55, 80]);
+
+  it("rates waste over the most recent accrued time, skipping the pause", () => {
+    expect(trends.rate1m).toBe(33);
+    expect(trends.rate5m).toBe(18);
+  });
+
+  it("carries focus streaks and pattern episodes across segments of the same pattern", () => {
+    expect(trends).toMatchObject({ currentSec: 40, bestSec: 50, focusedSec: 90 });
+    expect(trends.frequency).toEqual([
+      { pattern: "FOCUSED", focused: true, episodes: 2, sec: 90 },
+      { pattern: "IDLING", focused: false, episodes: 1, sec: 20 },
+    ]);
+  });
+
+  it("splits runs at minute boundaries in the heatmap", () => {
+    expect(trends.heatmap).toEqual({ minutes: 2, cells: { FOCUSED: [50, 40], IDLING: [10, 10] } });
+  });
+
+  it("averages the time from each alert back to focus", () => {
+    expect(trends.meanRefocusSec).toBe(8);
+  });
+});
@@ -0,0 +1,48 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { createIntervalClock, createReplayClock } from "../src/clock";
+
+beforeEach(() => vi.useFakeTimers());
+afterEach(() => vi.useRealTimers());
+
+describe("createIntervalClock", () => {
+  it("ticks every tickMs only while subscribed", () => {
+    const clock = createIntervalClock(1000);
+    const events = [];
+    const unsubscribe = clock.subscribe((e) => events.push(e));
+    vi.advanceTimersByTime(3500);
+    expect(events).toEqual([{ ticks: 1 }, { ticks: 1 }, { ticks: 1 }]);
+
+    unsubscribe();
+    vi.advanceTimersByTime(5000);
+    expect(events).toHaveLength(3);
+    expect(vi.getTimerCount()).toBe(0);
+  });
+});
+
+describe("createReplayClock", () => {
+  it("plays to the end at the chosen speed and stops", () => {
+    const clock = createReplayClock({ length: 10, tickMs: 1000, startMs: 5000 });
+    const events = [];
+    clock.subscribe((e) => events.push(e));
+    clock.play(4);
+    vi.advanceTimersByTime(1000);
+    expect(clock.position).toBe(4);
+    expect(clock.now()).toBe(9000);
+    vi.advanceTimersByTime(10_000);
+    expect(clock.position).toBe(10);
+    expect(clock.playing).toBe(false);
+    expect(events).toHaveLength(10);
+  });
+
+  it("seeks by resetting and fast-forwarding", () => {
+    const clock = createReplayClock({ length: 10 });
+    const events = [];
+    clock.subscribe((e) => events.push(e));
+    clock.seek(7.4);
+    clock.seek(50);
+    expect(events).toEqual([
+      { reset: true, ticks: 7 },
+      { reset: true, ticks: 10 },
+    ]);
+  });
+});
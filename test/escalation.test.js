@@ -0,0 +1,75 @@
+import { describe, expect, it } from "vitest";
+import { initialEscalationState, stepEscalation } from "../src/escalation";
+
+const policy = {
+  cooldownSec: 5,
+  deescalateAfterSec: 4,
+  levels: {
+    mild: { actions: ["sound"] },
+    warn: { actions: ["sound", "haptic"], repeatSec: 60 },
+    high: { actions: ["sound", "haptic", "shake"], repeatSec: 30 },
+  },
+  recovery: { minDistractionSec: 10, actions: ["sound"] },
+};
+
+/** Feed one severity per second from `fromSec`; returns the final state and every alert with its second. */
+function run(severities, { state = initialEscalationState(), fromSec = 1, focused } = {}) {
+  const fired = [];
+  severities.forEach((severity, i) => {
+    const nowSec = fromSec + i;
+    const step = stepEscalation(state, { severity, focused: focused ?? severity === "ok", nowSec }, policy);
+    state = step.state;
+    fired.push(...step.alerts.map((a) => ({ ...a, nowSec })));
+  });
+  return { state, fired };
+}
+
+const repeat = (severity, n) => Array(n).fill(severity);
+
+describe("stepEscalation", () => {
+  it("alerts once when the level rises, with that level's actions", () => {
+    const { fired } = run(repeat("mild", 20));
+    expect(fired).toEqual([{ kind: "escalate", level: "mild", actions: ["sound"], nowSec: 1 }]);
+  });
+
+  it("holds a higher level back until the cooldown has passed", () => {
+    const { fired } = run(["mild", ...repeat("warn", 6)]);
+    expect(fired.map((a) => [a.kind, a.level, a.nowSec])).toEqual([
+      ["escalate", "mild", 1],
+      ["escalate", "warn", 6],
+    ]);
+  });
+
+  it("repeats a level that persists every repeatSec", () => {
+    const { fired } = run(repeat("high", 61));
+    expect(fired.map((a) => [a.kind, a.nowSec])).toEqual([
+      ["escalate", 1],
+      ["repeat", 31],
+      ["repeat", 61],
+    ]);
+  });
+
+  it("only drops a level after deescalateAfterSec, so flapping does not re-alert", () => {
+    const flapping = run([...repeat("warn", 6), "mild", "mild", "warn", ...repeat("mild", 5)]);
+    expect(flapping.fired.filter((a) => a.kind === "escalate")).toHaveLength(1);
+    expect(flapping.state.level).toBe("mild");
+
+    const back = run(repeat("warn", 10), { state: flapping.state, fromSec: 15 });
+    expect(back.fired).toEqual([{ kind: "escalate", level: "warn", actions: policy.levels.warn.actions, nowSec: 15 }]);
+  });
+
+  it("cues recovery after a long enough distraction", () => {
+    const short = run([...repeat("mild", 5), ...repeat("ok", 5)]);
+    expect(short.fired.some((a) => a.kind === "recover")).toBe(false);
+
+    const long = run([...repeat("mild", 12), ...repeat("ok", 5)]);
+    expect(long.fired.filter((a) => a.kind === "recover")).toEqual([
+      { kind: "recover", level: "ok", actions: ["sound"], nowSec: 17 },
+    ]);
+  });
+
+  it("gives no recovery cue when the learner lands in another escalating pattern", () => {
+    const { fired } = run([...repeat("mild", 12), ...repeat("ok", 5)], { focused: false });
+    expect(fired.some((a) => a.kind === "recover")).toBe(false);
+  });
+});
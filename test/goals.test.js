@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import { emptyAchievements, evaluateGoal, recordSession, streakBadges } from "../src/goals";
+
+describe("evaluateGoal", () => {
+  const maxWaste = { type: "maxWastePct", target: 10 };
+
+  it("keeps a waste goal full while within the target", () => {
+    expect(evaluateGoal(maxWaste, { sessionSec: 100, wastedSec: 9, focusedSec: 91 })).toEqual({
+      met: true,
+      progress: 1,
+      value: 9,
+    });
+  });
+
+  it("shrinks a waste goal's progress as waste goes over the target", () => {
+    expect(evaluateGoal(maxWaste, { sessionSec: 100, wastedSec: 20, focusedSec: 80 })).toEqual({
+      met: false,
+      progress: 0.5,
+      value: 20,
+    });
+    expect(evaluateGoal(maxWaste, { sessionSec: 0, wastedSec: 0, focusedSec: 0 }).met).toBe(true);
+  });
+
+  it("counts whole focused minutes towards a focus goal", () => {
+    const focus = { type: "focusedMinutes", target: 25 };
+    expect(evaluateGoal(focus, { sessionSec: 800, wastedSec: 50, focusedSec: 750 })).toEqual({
+      met: false,
+      progress: 0.5,
+      value: 12,
+    });
+    expect(evaluateGoal(focus, { sessionSec: 1600, wastedSec: 0, focusedSec: 1600 })).toMatchObject({
+      met: true,
+      progress: 1,
+    });
+  });
+});
+
+describe("streakBadges", () => {
+  it("unlocks every streak badge up to the streak length", () => {
+    expect(streakBadges(4 * 60).map((b) => b.id)).toEqual([]);
+    expect(streakBadges(10 * 60).map((b) => b.id)).toEqual(["streak-5", "streak-10"]);
+  });
+});
+
+describe("recordSession", () => {
+  it("adds up badges and goal tallies across sessions, keeping the first time each badge was earned", () => {
+    let achievements = emptyAchievements();
+    achievements = recordSession(achievements, {
+      badgeIds: ["streak-5", "goal-met"],
+      goalSet: true,
+      goalMet: true,
+      bestStreakSec: 400,
+      ts: 1000,
+    });
+    achievements = recordSession(achievements, {
+      badgeIds: ["streak-5"],
+      goalSet: true,
+      goalMet: false,
+      bestStreakSec: 200,
+      ts: 2000,
+    });
+    achievements = recordSession(achievements, {
+      badgeIds: [],
+      goalSet: false,
+      goalMet: false,
+      bestStreakSec: 0,
+      ts: 3000,
+    });
+    expect(achievements).toEqual({
+      badges: { "streak-5": { count: 2, firstAt: 1000 }, "goal-met": { count: 1, firstAt: 1000 } },
+      goalsSet: 2,
+      goalsMet: 1,
+      bestStreakSec: 400,
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { CONSENT_VERSION, anonymizeSession, hasConsent, retentionCutoff } from "../src/privacy";
+import { SESSION_SCHEMA, serializeSession, toSessionCSV } from "../src/sessionExport";
+import { endSnooze, logTick, openInterval, startSnooze } from "../src/sessionLog";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = (sec) => T0 + sec * 1000;
+
+// 60 s focused, 30 s idling (snoozed 70–80 s), then paused
+let segments = [];
+for (let sec = 0; sec < 90; sec++) {
+  const focused = sec < 60;
+  segments = logTick(segments, {
+    pattern: focused ? "FOCUSED" : "IDLING",
+    wasted: !focused,
+    severity: focused ? "ok" : "mild",
+    ts: at(sec),
+  });
+}
+segments = openInterval(segments, "PAUSED", at(90));
+const snoozes = endSnooze(startSnooze([], { mode: "timed", minutes: 5, ts: at(70) }), at(80));
+const session = serializeSession({
+  config: DEFAULT_CONFIG,
+  stream: { sessionSec: 90, wastedSec: 30, patternSec: { FOCUSED: 60, IDLING: 30 }, longestWasteStreakSec: 30 },
+  segments,
+  snoozes,
+  startedAt: at(0),
+  state: "paused",
+});
+
+describe("consent", () => {
+  it("only counts consent given for the current version", () => {
+    expect(hasConsent({ version: CONSENT_VERSION, anonymous: false })).toBe(true);
+    expect(hasConsent({ version: CONSENT_VERSION - 1 })).toBe(false);
+    expect(hasConsent(null)).toBe(false);
+  });
+});
+
+describe("retentionCutoff", () => {
+  it("is retentionDays before now, or null to keep everything", () => {
+    expect(retentionCutoff(30, T0)).toBe(T0 - 30 * 24 * 60 * 60 * 1000);
+    expect(retentionCutoff(null, T0)).toBeNull();
+    expect(retentionCutoff(0, T0)).toBeNull();
+  });
+});
+
+describe("anonymizeSession", () => {
+  it("replaces every timestamp with seconds from the session start", () => {
+    const anonymous = anonymizeSession(session);
+    expect(anonymous).toMatchObject({ schema: SESSION_SCHEMA, anonymous: true, exportedAt: null });
+    expect(anonymous.session).toEqual({ ...session.session, startedAt: null, endedAt: null });
+    expect(anonymous.segments).toEqual([
+      { pattern: "FOCUSED", startSec: 0, endSec: 59, durationSec: 60, wasted: false, peakSeverity: "ok" },
+      { pattern: "IDLING", startSec: 60, endSec: 89, durationSec: 30, wasted: true, peakSeverity: "mild" },
+      { pattern: "PAUSED", startSec: 90, endSec: null, durationSec: 0, wasted: false, peakSeverity: "ok" },
+    ]);
+    expect(anonymous.snoozes).toEqual([{ startSec: 70, endSec: 80, mode: "timed", minutes: 5, pattern: null }]);
+    expect(anonymous.config).toEqual(session.config);
+    expect(JSON.stringify(anonymous)).not.toMatch(/\d{4}-\d\d-\d\dT/);
+  });
+
+  it("exports offsets in the CSV", () => {
+    const csv = toSessionCSV(anonymizeSession(session));
+    expect(csv).toContain("start_sec,end_sec,pattern");
+    expect(csv).toContain("\n70,80,timed,5,");
+    expect(csv).not.toMatch(/\d{4}-\d\d-\d\dT/);
+  });
+});
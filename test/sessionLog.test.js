@@ -0,0 +1,121 @@
+import { describe, expect, it } from "vitest";
+import { closeInterval, endSnooze, logTick, openInterval, startSnooze, summarizeLessonParts } from "../src/sessionLog";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+
+const T0 = Date.UTC(2025, 0, 1);
+const at = (sec) => T0 + sec * 1000;
+
+/** Log `ticks` ([pattern, severity, context?]) one second apart from `fromSec`. */
+function logTicks(ticks, segments = [], fromSec = 0) {
+  return ticks.reduce(
+    (S, [pattern, severity = "ok", context], i) =>
+      logTick(S, { pattern, wasted: pattern !== "FOCUSED", severity, ts: at(fromSec + i), context }),
+    segments
+  );
+}
+
+describe("logTick", () => {
+  it("grows one segment per pattern and tracks its peak severity", () => {
+    const segments = logTicks([["FOCUSED"], ["FOCUSED"], ["IDLING", "mild"], ["IDLING", "warn"], ["IDLING", "mild"]]);
+    expect(segments).toEqual([
+      { pattern: "FOCUSED", start: at(0), end: at(1), durationSec: 2, wasted: false, peakSeverity: "ok" },
+      { pattern: "IDLING", start: at(2), end: at(4), durationSec: 3, wasted: true, peakSeverity: "warn" },
+    ]);
+  });
+
+  it("starts a new segment when the lesson context changes", () => {
+    const segments = logTicks([
+      ["FOCUSED", "ok", { section: "intro" }],
+      ["FOCUSED", "ok", { section: "intro" }],
+      ["FOCUSED", "ok", { section: "video", videoFromSec: 0, videoToSec: 30 }],
+    ]);
+    expect(segments.map((s) => [s.section, s.durationSec])).toEqual([
+      ["intro", 2],
+      ["video", 1],
+    ]);
+  });
+
+  it("is pure", () => {
+    const before = logTicks([["FOCUSED"]]);
+    const frozen = JSON.stringify(before);
+    logTick(before, { pattern: "FOCUSED", wasted: false, severity: "ok", ts: at(1) });
+    expect(JSON.stringify(before)).toBe(frozen);
+  });
+});
+
+describe("intervals", () => {
+  it("keeps PAUSED open until the next tick closes it with its wall-clock duration", () => {
+    let segments = logTicks([["FOCUSED"], ["FOCUSED"]]);
+    segments = openInterval(segments, "PAUSED", at(2));
+    expect(openInterval(segments, "PAUSED", at(5))).toBe(segments);
+    expect(segments[1]).toMatchObject({ pattern: "PAUSED", end: null, durationSec: 0 });
+
+    segments = logTicks([["FOCUSED"]], segments, 92);
+    expect(segments.map((s) => [s.pattern, s.durationSec])).toEqual([
+      ["FOCUSED", 2],
+      ["PAUSED", 90],
+      ["FOCUSED", 1],
+    ]);
+  });
+
+  it("closes one interval when another opens", () => {
+    let segments = openInterval([], "SIGNAL_LOST", at(0));
+    segments = openInterval(segments, "PAUSED", at(10));
+    expect(segments.map((s) => [s.pattern, s.durationSec, s.end])).toEqual([
+      ["SIGNAL_LOST", 10, at(10)],
+      ["PAUSED", 0, null],
+    ]);
+    expect(closeInterval(segments, at(15))[1].durationSec).toBe(5);
+  });
+});
+
+describe("summarizeLessonParts", () => {
+  it("adds up time per section or video range, most wasted first", () => {
+    const intro = { section: "Intro" };
+    const video = { section: "Intro", videoFromSec: 60, videoToSec: 90 };
+    const segments = openInterval(
+      logTicks([
+        ["FOCUSED", "ok", intro],
+        ["IDLING", "mild", intro],
+        ["IDLING", "mild", video],
+        ["IDLING", "mild", video],
+      ]),
+      "PAUSED",
+      at(4)
+    );
+    expect(summarizeLessonParts(segments, DEFAULT_CONFIG)).toEqual([
+      { part: "Video 1:00–1:30", section: "Intro", videoFromSec: 60, videoToSec: 90, totalSec: 2, wastedSec: 2 },
+      { part: "Intro", section: "Intro", videoFromSec: null, videoToSec: null, totalSec: 2, wastedSec: 1 },
+    ]);
+  });
+
+  it("leaves untagged time out", () => {
+    expect(summarizeLessonParts(logTicks([["IDLING", "mild"]]), DEFAULT_CONFIG)).toEqual([]);
+  });
+
+  it("scales wasted time by the pattern's weight", () => {
+    // EATING has weight 0.5 in the default config
+    const intro = { section: "Intro" };
+    const segments = logTicks([
+      ["EATING", "ok", intro],
+      ["EATING", "ok", intro],
+      ["IDLING", "mild", intro],
+      ["FOCUSED", "ok", intro],
+    ]);
+    expect(summarizeLessonParts(segments, DEFAULT_CONFIG)).toEqual([
+      expect.objectContaining({ part: "Intro", totalSec: 4, wastedSec: 2 }),
+    ]);
+  });
+});
+
+describe("snoozes", () => {
+  it("keeps at most one snooze open", () => {
+    let snoozes = startSnooze([], { mode: "timed", minutes: 5, ts: at(0) });
+    snoozes = startSnooze(snoozes, { mode: "pattern", pattern: "IDLING", ts: at(30) });
+    expect(snoozes).toEqual([
+      { start: at(0), end: at(30), mode: "timed", minutes: 5, pattern: null },
+      { start: at(30), end: null, mode: "pattern", minutes: null, pattern: "IDLING" },
+    ]);
+    expect(endSnooze(snoozes, at(40)).every((s) => s.end != null)).toBe(true);
+  });
+});
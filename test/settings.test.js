@@ -0,0 +1,79 @@
+import { describe, expect, it } from "vitest";
+import {
+  applySettings,
+  mergeSettings,
+  parsePreset,
+  settingsFromConfig,
+  toPresetJSON,
+  validateSettings,
+} from "../src/settings";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+
+const base = settingsFromConfig(DEFAULT_CONFIG);
+
+describe("validateSettings", () => {
+  it("accepts the config's own settings", () => {
+    expect(validateSettings(base)).toEqual({});
+  });
+
+  it("names the catalog message and its params for each bad field", () => {
+    const settings = mergeSettings(base, {
+      tickMs: 0,
+      thresholds: { warn: 10, high: 10, critical: 5 },
+      sounds: { mild: { volume: 2 } },
+    });
+    expect(validateSettings(settings)).toEqual({
+      tickMs: { key: "settings.error.positive" },
+      high: { key: "settings.error.greaterThan", params: { min: 10 } },
+      critical: { key: "settings.error.greaterThan", params: { min: 10 } },
+      "sound.mild": { key: "settings.error.volume", params: { min: 0, max: 1 } },
+    });
+  });
+});
+
+describe("presets", () => {
+  it("round-trip through JSON", () => {
+    const settings = mergeSettings(base, { tickMs: 500, ringMetric: "rolling5m" });
+    expect(parsePreset(toPresetJSON(settings), base)).toEqual(settings);
+  });
+
+  it("name the catalog message for a file that is not a preset, or from another version", () => {
+    expect(() => parsePreset({ schema: "something.else" }, base)).toThrow(
+      expect.objectContaining({ key: "settings.error.notPreset" })
+    );
+    expect(() => parsePreset({ schema: "wastemeter.preset", version: 9 }, base)).toThrow(
+      expect.objectContaining({ key: "settings.error.presetVersion", params: { version: 9 } })
+    );
+  });
+
+  it("name the catalog message for a preset that fails validation", () => {
+    const preset = toPresetJSON({ ...base, layout: "sidebar" });
+    expect(() => parsePreset(preset, base)).toThrow(
+      expect.objectContaining({
+        key: "settings.error.invalidPreset",
+        params: { field: "layout", reason: { key: "settings.error.unknownOption" } },
+      })
+    );
+  });
+});
+
+describe("display settings", () => {
+  it("carry the theme mode, layout and tray over the config", () => {
+    expect(base).toMatchObject({ themeMode: "dark", layout: "card", showTray: true });
+
+    const settings = mergeSettings(base, { themeMode: "auto", layout: "edge", showTray: false });
+    const config = applySettings(
+      { ...DEFAULT_CONFIG, theme: { mode: "dark", severity: { ok: { glow: "" } } } },
+      settings
+    );
+    expect(config.theme).toEqual({ mode: "auto", severity: { ok: { glow: "" } } });
+    expect(config).toMatchObject({ layout: "edge", showTray: false });
+  });
+
+  it("reject unknown modes and layouts", () => {
+    expect(validateSettings({ ...base, themeMode: "sepia", layout: "sidebar" })).toEqual({
+      themeMode: { key: "settings.error.unknownOption" },
+      layout: { key: "settings.error.unknownOption" },
+    });
+  });
+});
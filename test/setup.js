@@ -0,0 +1,19 @@
+/**
+ * Test setup
+ * ----------
+ * For jsdom tests: unmount after every test, and the browser APIs jsdom
+ * lacks (media queries).
+ */
+import { afterEach } from "vitest";
+
+if (typeof window !== "undefined") {
+  const { cleanup } = await import("@testing-library/react");
+  afterEach(cleanup);
+
+  window.matchMedia ??= (query) => ({
+    media: query,
+    matches: false,
+    addEventListener() {},
+    removeEventListener() {},
+  });
+}
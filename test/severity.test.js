@@ -0,0 +1,43 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+import { SEVERITY_ORDER, escalates, getSeverity } from "../src/severity";
+
+const thresholds = { warn: 10, high: 25, critical: 45 };
+const pattern = (key, rules = {}) => ({ key, label: key, waste: false, ...rules });
+
+describe("getSeverity", () => {
+  it("is ok for patterns that do not escalate", () => {
+    expect(getSeverity(0, thresholds, false)).toBe("ok");
+    expect(getSeverity(600, thresholds, pattern("FOCUSED"))).toBe("ok");
+  });
+
+  it("steps through the thresholds", () => {
+    expect(getSeverity(5, thresholds, true)).toBe("mild");
+    expect(getSeverity(10, thresholds, true)).toBe("warn");
+    expect(getSeverity(24, thresholds, true)).toBe("warn");
+    expect(getSeverity(30, thresholds, true)).toBe("high");
+    expect(getSeverity(50, thresholds, true)).toBe("critical");
+  });
+
+  it("applies per-pattern threshold overrides over the global ones", () => {
+    const cheating = pattern("CHEATING", { flag: true, thresholds: { warn: 2, high: 5 } });
+    expect(getSeverity(3, thresholds, cheating)).toBe("warn");
+    expect(getSeverity(5, thresholds, cheating)).toBe("high");
+    expect(getSeverity(44, thresholds, cheating)).toBe("high");
+    expect(getSeverity(45, thresholds, cheating)).toBe("critical");
+
+    const configured = DEFAULT_CONFIG.patterns.find((p) => p.key === "CHEATING");
+    expect(getSeverity(3, DEFAULT_CONFIG.thresholds, configured)).toBe("warn");
+  });
+
+  it("escalates waste and flag patterns", () => {
+    expect(escalates(pattern("IDLING", { waste: true }))).toBe(true);
+    expect(escalates(pattern("RUSHING", { flag: true }))).toBe(true);
+    expect(escalates(pattern("FOCUSED"))).toBe(false);
+    expect(escalates(null)).toBe(false);
+  });
+
+  it("orders levels from ok to critical", () => {
+    expect(SEVERITY_ORDER).toEqual(["ok", "mild", "warn", "high", "critical"]);
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_CONFIG } from "../src/WastemeterOverlay";
+import { createScriptedSource, createSeededRandom, createSimulatedSource } from "../src/signalSources";
+
+const readN = (source, n) => Array.from({ length: n }, () => source.read());
+
+describe("createSeededRandom", () => {
+  it("yields the same sequence for the same seed", () => {
+    const a = createSeededRandom(42);
+    const b = createSeededRandom(42);
+    const c = createSeededRandom(43);
+    const seqA = readN({ read: a }, 20);
+    expect(readN({ read: b }, 20)).toEqual(seqA);
+    expect(readN({ read: c }, 20)).not.toEqual(seqA);
+  });
+
+  it("stays in [0, 1)", () => {
+    const rand = createSeededRandom(7);
+    for (let i = 0; i < 1000; i++) {
+      const r = rand();
+      expect(r).toBeGreaterThanOrEqual(0);
+      expect(r).toBeLessThan(1);
+    }
+  });
+});
+
+describe("createSimulatedSource", () => {
+  it("is reproducible with a seed, including after reset()", () => {
+    const a = createSimulatedSource(DEFAULT_CONFIG, { seed: 3 });
+    const b = createSimulatedSource(DEFAULT_CONFIG, { seed: 3 });
+    const run = readN(a, 300);
+    expect(readN(b, 300)).toEqual(run);
+    a.reset();
+    expect(readN(a, 300)).toEqual(run);
+  });
+
+  it("only emits configured patterns and dwells within the configured range", () => {
+    const config = {
+      ...DEFAULT_CONFIG,
+      patterns: DEFAULT_CONFIG.patterns.filter((p) => ["FOCUSED", "IDLING"].includes(p.key)),
+      simulation: { weights: {}, transitions: {}, dwell: { default: { min: 3, max: 5 } } },
+    };
+    const reads = readN(createSimulatedSource(config, { seed: 1 }), 500);
+    expect(new Set(reads)).toEqual(new Set(["FOCUSED", "IDLING"]));
+    // Runs of one pattern are whole dwells (3–5 s), or several back to back when the same pattern is drawn again
+    const runs = [];
+    reads.forEach((key, i) => (key === reads[i - 1] ? (runs[runs.length - 1] += 1) : runs.push(1)));
+    expect(runs.slice(0, -1).every((n) => n >= 3)).toBe(true);
+  });
+
+  it("follows the profile's weights", () => {
+    const share = (profile) => {
+      const reads = readN(createSimulatedSource(DEFAULT_CONFIG, { seed: 11, profile }), 5000);
+      return reads.filter((k) => k === "FOCUSED").length / reads.length;
+    };
+    expect(share("focused")).toBeGreaterThan(share("distractible"));
+    const cheater = readN(createSimulatedSource(DEFAULT_CONFIG, { seed: 11, profile: "cheater" }), 5000);
+    const focused = readN(createSimulatedSource(DEFAULT_CONFIG, { seed: 11, profile: "focused" }), 5000);
+    const count = (reads, key) => reads.filter((k) => k === key).length;
+    expect(count(cheater, "CHEATING")).toBeGreaterThan(count(focused, "CHEATING"));
+  });
+});
+
+describe("createScriptedSource", () => {
+  it("plays steps one tick per second and loops", () => {
+    const source = createScriptedSource([
+      { pattern: "FOCUSED", durationSec: 2 },
+      { pattern: "IDLING", durationSec: 1 },
+    ]);
+    expect(readN(source, 6)).toEqual(["FOCUSED", "FOCUSED", "IDLING", "FOCUSED", "FOCUSED", "IDLING"]);
+  });
+
+  it("holds the last step with loop: false", () => {
+    const source = createScriptedSource([{ pattern: "IDLING", durationSec: 1 }], { loop: false });
+    expect(readN(source, 3)).toEqual(["IDLING", "IDLING", "IDLING"]);
+  });
+
+  it("has no signal without steps", () => {
+    expect(createScriptedSource([]).read()).toBeNull();
+  });
+});
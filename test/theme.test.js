@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import { PALETTES, resolveTheme } from "../src/theme";
+
+describe("resolveTheme", () => {
+  it("is dark by default and follows the OS in auto mode", () => {
+    expect(resolveTheme().mode).toBe("dark");
+    expect(resolveTheme({ mode: "light" }).mode).toBe("light");
+    expect(resolveTheme({ mode: "auto" }, { dark: true }).mode).toBe("dark");
+    expect(resolveTheme({ mode: "auto" }, { dark: false }).mode).toBe("light");
+    expect(resolveTheme({ mode: "light" }).palette).toEqual(PALETTES.light);
+  });
+
+  it("layers overrides for every mode, then for the active one, token by token", () => {
+    const theme = {
+      mode: "light",
+      severity: { critical: { glow: "" }, ok: { bar: "stroke-sky-400" } },
+      light: { ok: { bar: "stroke-sky-600" } },
+      dark: { ok: { bg: "bg-sky-900" } },
+    };
+    const { palette } = resolveTheme(theme);
+    expect(palette.critical).toEqual({ ...PALETTES.light.critical, glow: "" });
+    expect(palette.ok).toEqual({ ...PALETTES.light.ok, bar: "stroke-sky-600" });
+    expect(resolveTheme({ ...theme, mode: "dark" }).palette.ok).toMatchObject({
+      bg: "bg-sky-900",
+      bar: "stroke-sky-400",
+    });
+  });
+
+  it("ignores overrides and stays dark in high contrast", () => {
+    const { mode, palette } = resolveTheme(
+      { mode: "light", severity: { ok: { bg: "bg-sky-50" } } },
+      { highContrast: true }
+    );
+    expect(mode).toBe("dark");
+    expect(palette.ok.bg).toBe("bg-black");
+  });
+});
@@ -1,6 +1,34 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-export default defineConfig({
-  plugins: [react()],
+// `vite build` builds the demo app (and `vitest` tests it); `--mode lib` / `--mode embed` build the
+// host-app library (ESM) and the self-mounting script-tag bundle into lib/.
+export default defineConfig(({ mode }) => {
+  if (mode === "lib") {
+    return {
+      plugins: [react()],
+      build: {
+        outDir: "lib",
+        lib: { entry: "src/lib.js", formats: ["es"], fileName: () => "wastemeter.js" },
+        rollupOptions: { external: [/^react(-dom)?($|\/)/, "framer-motion", "lucide-react"] },
+      },
+    };
+  }
+  if (mode === "embed") {
+    return {
+      plugins: [react()],
+      define: { "process.env.NODE_ENV": JSON.stringify("production") },
+      build: {
+        outDir: "lib",
+        emptyOutDir: false,
+        lib: { entry: "src/embed.jsx", formats: ["iife"], name: "Wastemeter", fileName: () => "wastemeter.embed.js" },
+      },
+    };
+  }
+  return {
+    plugins: [react()],
+    // `npm test` (Vitest): pure modules run in node, component tests opt into
+    // jsdom with a `@vitest-environment jsdom` comment
+    test: { include: ["test/**/*.test.{js,jsx}"], setupFiles: ["test/setup.js"] },
+  };
 });